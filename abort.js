@@ -0,0 +1,143 @@
+'use strict'
+
+// Requests can be cut short by an `opts.signal` (an `AbortSignal`) or by
+// running past `opts.deadline`. `opts.deadlineAt` is the absolute time a
+// request has to be done by, set when it first starts so redirects and
+// retries all share the same budget.
+
+module.exports.errorStream = errorStream
+module.exports.getAbortError = getAbortError
+module.exports.isAbortable = isAbortable
+module.exports.isAbortError = isAbortError
+module.exports.onAbort = onAbort
+module.exports.raceAbort = raceAbort
+module.exports.timeRemaining = timeRemaining
+module.exports.trackRequests = trackRequests
+
+function isAbortable (opts) {
+  return !!(opts.signal || opts.deadlineAt)
+}
+
+// Returns the error a request should fail with if it's been aborted, or null
+// if it's still good to go.
+function getAbortError (opts) {
+  if (opts.signal && opts.signal.aborted) {
+    return abortError()
+  }
+  if (opts.deadlineAt && Date.now() >= opts.deadlineAt) {
+    return deadlineError(opts)
+  }
+  return null
+}
+
+function isAbortError (err) {
+  return !!err && (err.code === 'EABORT' || err.code === 'EDEADLINE')
+}
+
+function timeRemaining (opts) {
+  return opts.deadlineAt ? Math.max(0, opts.deadlineAt - Date.now()) : null
+}
+
+// Calls `cb` with an abort error as soon as the request gets aborted. Returns
+// a function that stops listening.
+function onAbort (opts, cb) {
+  let done = false
+  let timer
+  const fire = err => {
+    if (!done) {
+      stop()
+      cb(err)
+    }
+  }
+  const onSignal = () => fire(abortError())
+  const stop = () => {
+    done = true
+    clearTimeout(timer)
+    if (opts.signal) {
+      opts.signal.removeEventListener('abort', onSignal)
+    }
+  }
+
+  const err = getAbortError(opts)
+  if (err) {
+    fire(err)
+    return stop
+  }
+
+  if (opts.signal) {
+    opts.signal.addEventListener('abort', onSignal)
+  }
+  if (opts.deadlineAt) {
+    timer = setTimeout(() => fire(deadlineError(opts)), timeRemaining(opts))
+    // Whatever's waiting on the request will keep the process alive if it
+    // needs to.
+    timer.unref()
+  }
+  return stop
+}
+
+// Rejects with an abort error if the request gets aborted before `promise`
+// settles.
+function raceAbort (promise, opts) {
+  if (!isAbortable(opts)) {
+    return promise
+  }
+  return new Promise((resolve, reject) => {
+    const stop = onAbort(opts, reject)
+    promise.then(val => {
+      stop()
+      resolve(val)
+    }, err => {
+      stop()
+      reject(err)
+    })
+  })
+}
+
+// Errors `stream` once somebody is actually reading from it. Emitting right
+// away would get lost if the caller hasn't gotten around to reading the body
+// yet, and they'd be left waiting on it forever.
+function errorStream (stream, err) {
+  if (stream.listenerCount('data') || stream.listenerCount('readable')) {
+    stream.emit('error', err)
+    return
+  }
+  const onListener = event => {
+    if (event === 'data' || event === 'readable') {
+      stream.removeListener('newListener', onListener)
+      // Listeners get added right after this, so wait for them.
+      process.nextTick(() => stream.emit('error', err))
+    }
+  }
+  stream.on('newListener', onListener)
+}
+
+// node-fetch doesn't give us its http.ClientRequest, so to be able to abort
+// (or time) a request, we watch for it going through the agent instead. Everything
+// else is still handled by the real agent.
+function trackRequests (agent, onRequest) {
+  const tracked = Object.create(agent)
+  tracked.addRequest = function (req, options) {
+    onRequest(req)
+    return agent.addRequest(req, options)
+  }
+  return tracked
+}
+
+function abortError () {
+  const err = new Error('The user aborted a request.')
+  err.name = 'AbortError'
+  err.type = 'aborted'
+  err.code = 'EABORT'
+  return err
+}
+
+function deadlineError (opts) {
+  const err = new Error(
+    `Request did not finish within its ${opts.deadline}ms deadline.`
+  )
+  err.name = 'AbortError'
+  err.type = 'aborted'
+  err.code = 'EDEADLINE'
+  return err
+}
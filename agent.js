@@ -1,5 +1,6 @@
 'use strict'
 const LRU = require('lru-cache')
+const events = require('./diagnostics')
 const url = require('url')
 
 let AGENT_CACHE = new LRU({ max: 50 })
@@ -29,6 +30,13 @@ function getAgent (uri, opts) {
     return opts.agent
   }
 
+  if (pxuri) {
+    events.emit('proxy', {
+      url: parsedUri.href,
+      proxy: `${pxuri.protocol}//${pxuri.host}`
+    })
+  }
+
   if (AGENT_CACHE.peek(key)) {
     return AGENT_CACHE.get(key)
   }
@@ -112,6 +120,8 @@ function getProcessEnv (env) {
   return value
 }
 
+module.exports.getProxyUri = getProxyUri
+
 function getProxyUri (uri, opts) {
   const protocol = url.parse(uri).protocol
 
@@ -0,0 +1,98 @@
+'use strict'
+
+const cacache = require('cacache')
+const index = require('cacache/lib/entry-index')
+const writeContent = require('cacache/lib/content/write')
+
+// cacache always stamps entries with the current time, so entries written
+// with an earlier `opts.time` keep it in their metadata under this instead.
+const TIME_FIELD = 'make-fetch-happen:time'
+
+// Storage adapter for `Cache` that keeps everything in a cacache directory.
+//
+// Adapters store entries under keys, each pointing to content by its
+// integrity hash. Entries are `{key, integrity, time, size, metadata}`.
+// `read()`, `write()`, `writeContentStream()`, `link()`, `hasContent()` and
+// `removeContent()` are optional, and `Cache` will work around any of them
+// being missing. Writes given an
+// `opts.time` should record the entry as stored at that time, instead of now.
+module.exports = class CacacheStorage {
+  constructor (path) {
+    this.location = path
+  }
+
+  // Resolves to the entry for `key`, or null if there isn't one.
+  info (key) {
+    return cacache.get.info(this.location, key).then(restoreTime)
+  }
+
+  // Resolves to an array of all entries in storage.
+  list () {
+    return cacache.ls(this.location).then(index => {
+      return Object.keys(index).map(k => restoreTime(index[k]))
+    })
+  }
+
+  hasContent (integrity, opts) {
+    return cacache.get.hasContent(this.location, integrity, opts)
+  }
+
+  read (integrity, opts) {
+    return cacache.get.byDigest(this.location, integrity, opts)
+  }
+
+  readStream (integrity, opts) {
+    return cacache.get.stream.byDigest(this.location, integrity, opts)
+  }
+
+  // Resolves to the integrity of the written content.
+  write (key, data, opts) {
+    return cacache.put(this.location, key, data, keepTime(opts))
+  }
+
+  // Returns a writable stream that emits `integrity` once all its content has
+  // been written, before it finishes.
+  writeStream (key, opts) {
+    return cacache.put.stream(this.location, key, keepTime(opts))
+  }
+
+  // Like `writeStream()`, but without adding an entry for the content. Used
+  // along with `link()`, so nothing points to content until all of it has
+  // been written.
+  writeContentStream (opts) {
+    return writeContent.stream(this.location, opts)
+  }
+
+  // Adds an entry for `key` pointing to content that's already stored.
+  link (key, integrity, opts) {
+    return index.insert(this.location, key, integrity, keepTime(opts))
+  }
+
+  // Removes the entry for `key`. Its content is left alone, since other
+  // entries might still be using it.
+  'delete' (key) {
+    return cacache.rm.entry(this.location, key)
+  }
+
+  removeContent (integrity) {
+    return cacache.rm.content(this.location, integrity)
+  }
+}
+
+function keepTime (opts) {
+  if (!opts || opts.time == null) {
+    return opts
+  }
+  const metadata = Object.assign({}, opts.metadata, {[TIME_FIELD]: opts.time})
+  return Object.assign({}, opts, {metadata})
+}
+
+function restoreTime (entry) {
+  if (!entry || !entry.metadata || entry.metadata[TIME_FIELD] == null) {
+    return entry
+  }
+  const metadata = Object.assign({}, entry.metadata)
+  const time = metadata[TIME_FIELD]
+  delete metadata[TIME_FIELD]
+  return Object.assign({}, entry, {time, metadata})
+}
@@ -0,0 +1,247 @@
+'use strict'
+
+const Buffer = require('safe-buffer').Buffer
+const concat = require('mississippi').concat
+const finished = require('mississippi').finished
+const pipe = require('mississippi').pipe
+const ssri = require('ssri')
+const through = require('mississippi').through
+const to = require('mississippi').to
+
+// Cache archives are a single stream that a whole cache can be moved around
+// in. Like tar, they're a series of headers each followed by their content:
+//
+//   make-fetch-happen-cache 1\n
+//   {"integrity": "sha512-...", "size": 13, "entries": [...]}\n
+//   <13 bytes of content>
+//   {"integrity": ...}\n
+//   ...
+//
+// Each header is a line of JSON describing one piece of content, along with
+// every entry (`{key, time, metadata}`) pointing to it.
+
+module.exports.pack = pack
+module.exports.unpack = unpack
+
+const MAGIC = 'make-fetch-happen-cache 1'
+
+// Writes each of `entries` in `storage` to `stream` as an archive, and ends
+// it. Resolves to how many entries and how much content were written.
+function pack (storage, entries, stream) {
+  const groups = new Map()
+  entries.forEach(entry => {
+    const integrity = entry.integrity.toString()
+    const group = groups.get(integrity) || {
+      integrity,
+      size: entry.size,
+      entries: []
+    }
+    group.entries.push({
+      key: entry.key,
+      time: entry.time,
+      metadata: entry.metadata
+    })
+    groups.set(integrity, group)
+  })
+
+  const out = through()
+  const done = new Promise((resolve, reject) => {
+    pipe(out, stream, err => err ? reject(err) : resolve())
+  })
+  const write = data => new Promise(resolve => {
+    out.write(data) ? resolve() : out.once('drain', resolve)
+  })
+  const report = {entries: 0, size: 0}
+  const packed = Array.from(groups.values()).reduce((acc, group) => {
+    return acc.then(() => readContent(storage, group)).then(content => {
+      report.entries += group.entries.length
+      report.size += group.size
+      return write(`${JSON.stringify(group)}\n`).then(() => {
+        return content.stream ? pipeContent(content.stream, out) : write(content.data)
+      })
+    })
+  }, write(`${MAGIC}\n`))
+  return packed.then(() => {
+    out.end()
+    return done
+  }, err => {
+    out.destroy(err)
+    throw err
+  }).then(() => report)
+}
+
+// Storage might not know how big its content is, in which case it has to be
+// read in full to find out.
+function readContent (storage, group) {
+  const src = storage.readStream(group.integrity, {size: group.size})
+  if (group.size != null) {
+    return Promise.resolve({stream: src})
+  }
+  return new Promise((resolve, reject) => {
+    pipe(src, concat(data => {
+      group.size = data.length
+      resolve({data})
+    }), err => err && reject(err))
+  })
+}
+
+function pipeContent (src, out) {
+  return new Promise((resolve, reject) => {
+    src.pipe(out, {end: false})
+    finished(src, {writable: false}, err => err ? reject(err) : resolve())
+  })
+}
+
+// Reads an archive from `stream` into `storage`. Content is checked against
+// its integrity as it's written, so nothing corrupted makes it in. Resolves
+// to how many entries and how much content were read.
+function unpack (storage, stream, opts) {
+  opts = opts || {}
+  const report = {entries: 0, size: 0}
+  let header = null
+  let line = []
+  let sawMagic = false
+  let target = null
+  let written = null
+  let remaining = 0
+
+  const fail = msg => {
+    const err = new Error(`Invalid cache archive: ${msg}`)
+    err.code = 'EBADARCHIVE'
+    return err
+  }
+
+  const startContent = () => {
+    const first = header.entries[0]
+    const firstOpts = entryOpts(header, first, opts)
+    remaining = header.size
+    if (!remaining) {
+      written = writeEmpty(storage, first.key, firstOpts)
+      return
+    }
+    target = storage.writeStream(first.key, firstOpts)
+    written = new Promise((resolve, reject) => {
+      finished(target, err => err ? reject(err) : resolve())
+    })
+  }
+
+  // Once the first entry's content is in, the rest just get pointed at it.
+  const endContent = cb => {
+    const group = header
+    target && target.end()
+    target = null
+    header = null
+    written.then(() => {
+      return group.entries.slice(1).reduce((acc, entry) => acc.then(() => {
+        return link(storage, group, entry, opts)
+      }), Promise.resolve())
+    }).then(() => {
+      report.entries += group.entries.length
+      report.size += group.size
+      cb()
+    }, cb)
+  }
+
+  const parse = (chunk, cb) => {
+    if (!chunk.length) {
+      return cb()
+    }
+    if (header) {
+      const data = chunk.slice(0, remaining)
+      remaining -= data.length
+      return target.write(data, err => {
+        if (err) { return cb(err) }
+        if (remaining) { return cb() }
+        endContent(err => err ? cb(err) : parse(chunk.slice(data.length), cb))
+      })
+    }
+    const nl = chunk.indexOf(0x0a)
+    if (nl === -1) {
+      line.push(chunk)
+      return cb()
+    }
+    line.push(chunk.slice(0, nl))
+    const text = Buffer.concat(line).toString('utf8')
+    line = []
+    const rest = chunk.slice(nl + 1)
+    if (!sawMagic) {
+      if (text !== MAGIC) {
+        return cb(fail('unrecognized format'))
+      }
+      sawMagic = true
+      return parse(rest, cb)
+    }
+    try {
+      header = JSON.parse(text)
+    } catch (err) {
+      return cb(fail(err.message))
+    }
+    if (!header.integrity || !header.entries || !header.entries.length) {
+      return cb(fail('header is missing its integrity or entries'))
+    }
+    startContent()
+    if (!remaining) {
+      return endContent(err => err ? cb(err) : parse(rest, cb))
+    }
+    parse(rest, cb)
+  }
+
+  return new Promise((resolve, reject) => {
+    pipe(stream, to((chunk, enc, cb) => parse(chunk, cb), cb => {
+      if (header || line.length || !sawMagic) {
+        return cb(fail('archive ended early'))
+      }
+      cb()
+    }), err => err ? reject(err) : resolve(report))
+  })
+}
+
+// Each entry goes back in with the time it was originally stored at, since
+// that's what its freshness is worked out from.
+function entryOpts (header, entry, opts) {
+  return {
+    integrity: header.integrity,
+    size: header.size,
+    metadata: entry.metadata,
+    time: entry.time,
+    uid: opts.uid,
+    gid: opts.gid
+  }
+}
+
+function link (storage, header, entry, opts) {
+  const linkOpts = entryOpts(header, entry, opts)
+  if (!header.size) {
+    return writeEmpty(storage, entry.key, linkOpts)
+  }
+  return new Promise((resolve, reject) => {
+    pipe(
+      storage.readStream(header.integrity, linkOpts),
+      storage.writeStream(entry.key, linkOpts),
+      err => err ? reject(err) : resolve()
+    )
+  })
+}
+
+// cacache won't stream empty content, but will write it all at once. It
+// can't check it against an integrity while doing that, though.
+function writeEmpty (storage, key, opts) {
+  const empty = Buffer.alloc(0)
+  if (!ssri.checkData(empty, opts.integrity)) {
+    const err = new Error(`Integrity check failed for ${key}`)
+    err.code = 'EINTEGRITY'
+    err.expected = opts.integrity
+    err.found = ssri.fromData(empty).toString()
+    return Promise.reject(err)
+  }
+  if (storage.write) {
+    return storage.write(key, empty, Object.assign({}, opts, {
+      integrity: null
+    }))
+  }
+  return new Promise((resolve, reject) => {
+    const target = storage.writeStream(key, opts)
+    finished(target, err => err ? reject(err) : resolve())
+    target.end()
+  })
+}
@@ -1,7 +1,12 @@
 'use strict'
 
-const cacache = require('cacache')
+const archive = require('./cache-archive')
+const CacacheStorage = require('./cacache-storage')
+const crypto = require('crypto')
+const events = require('./diagnostics')
 const fetch = require('node-fetch-npm')
+const finished = require('mississippi').finished
+const isStale = require('./policy').isStale
 const pipe = require('mississippi').pipe
 const ssri = require('ssri')
 const through = require('mississippi').through
@@ -10,10 +15,21 @@ const url = require('url')
 const stream = require('stream')
 
 const MAX_MEM_SIZE = 5 * 1024 * 1024 // 5MB
+const KEY_PREFIX = 'make-fetch-happen:request-cache:'
+// Streamed writes to storage that can't store content on its own go under
+// these until they're done. They're outside KEY_PREFIX, so they never get
+// matched or listed.
+const PARTIAL_PREFIX = 'make-fetch-happen:partial:'
+const VARY_MARKER = ':vary:'
+// Minimum time between automatic prunes of the same cache, in ms
+const PRUNE_INTERVAL = 60 * 1000
+
+// storage -> state of its last automatic prune
+const PRUNES = new Map()
 
 function cacheKey (req) {
   const parsed = url.parse(req.url)
-  return `make-fetch-happen:request-cache:${
+  return `${KEY_PREFIX}${
     url.format({
       protocol: parsed.protocol,
       slashes: parsed.slashes,
@@ -24,15 +40,37 @@ function cacheKey (req) {
   }`
 }
 
-// This is a cacache-based implementation of the Cache standard,
-// using node-fetch.
+// Responses with a `Vary` header are stored twice: once under the plain
+// cacheKey(), which always holds the latest response for the URL, and once
+// under a key that also includes the request header values it varies on, so
+// every variant can be found again later.
+function variantKey (key, vary, reqHeaders) {
+  return `${key}${VARY_MARKER}${
+    varyFields(vary).map(field => {
+      return `${field}=${encodeURIComponent(reqHeaders.get(field) || '')}`
+    }).join('&')
+  }`
+}
+
+function varyFields (vary) {
+  return vary.toLowerCase().split(/\s*,\s*/).filter(x => x).sort()
+}
+
+// This is an implementation of the Cache standard, using node-fetch. It
+// stores things in cacache by default, but can use any other storage adapter
+// passed in as `opts.storage`.
 // docs: https://developer.mozilla.org/en-US/docs/Web/API/Cache
 //
 module.exports = class Cache {
   constructor (path, opts) {
-    this._path = path
+    this._storage = (opts && opts.storage) || new CacacheStorage(path)
+    this._path = this._storage.location
     this._uid = opts && opts.uid
     this._gid = opts && opts.gid
+    this._maxSize = opts && opts.maxSize
+    this._maxEntries = opts && opts.maxEntries
+    this._maxAge = opts && opts.maxAge
+    this._pruneInterval = PRUNE_INTERVAL
     this.Promise = (opts && opts.Promise) || Promise
   }
 
@@ -40,10 +78,26 @@ module.exports = class Cache {
   // matching request in the Cache object.
   match (req, opts) {
     opts = opts || {}
-    const key = cacheKey(req)
-    return cacache.get.info(this._path, key).then(info => {
-      return info && cacache.get.hasContent(
-        this._path, info.integrity, opts
+    // Content matching `opts.integrity` is exactly what was asked for, so
+    // it's looked for before whatever happens to be stored for the URL.
+    return this._matchIntegrity(req, opts).then(res => {
+      return res || this._matchUrl(req, opts)
+    }).then(res => {
+      if (!res) {
+        events.emit('cache-miss', {url: req.url})
+      }
+      return res
+    })
+  }
+
+  // Finds the response stored for the request's URL, if it matches.
+  _matchUrl (req, opts) {
+    let key
+    return this._find(req).then(found => {
+      const info = found && found.info
+      key = found && found.key
+      return info && this._hasContent(
+        info.integrity, opts
       ).then(exists => exists && info)
     }).then(info => {
       if (info && info.metadata && matchDetails(req, {
@@ -53,70 +107,139 @@ module.exports = class Cache {
         cacheIntegrity: info.integrity,
         integrity: opts && opts.integrity
       })) {
+        events.emit('cache-hit', {url: req.url, key, integrity: info.integrity})
         const resHeaders = new fetch.Headers(info.metadata.resHeaders)
         addCacheHeaders(resHeaders, this._path, key, info.integrity, info.time)
+        const status = info.metadata.status || 200
+        const statusText = info.metadata.statusText
         if (req.method === 'HEAD') {
           return new fetch.Response(null, {
             url: req.url,
             headers: resHeaders,
-            status: 200
-          })
-        }
-        let body
-        const cachePath = this._path
-        // avoid opening cache file handles until a user actually tries to
-        // read from it.
-        if (opts.memoize !== false && info.size > MAX_MEM_SIZE) {
-          body = new stream.PassThrough()
-          const realRead = body._read
-          body._read = function (size) {
-            body._read = realRead
-            pipe(
-              cacache.get.stream.byDigest(cachePath, info.integrity, {
-                memoize: opts.memoize
-              }),
-              body,
-              err => body.emit(err))
-            return realRead.call(this, size)
-          }
-        } else {
-          let readOnce = false
-          // cacache is much faster at bulk reads
-          body = new stream.Readable({
-            read () {
-              if (readOnce) return this.push(null)
-              readOnce = true
-              cacache.get.byDigest(cachePath, info.integrity, {
-                memoize: opts.memoize
-              }).then(data => {
-                this.push(data)
-                this.push(null)
-              }, err => this.emit('error', err))
-            }
+            status,
+            statusText
           })
         }
+        const body = this._readBody(info.integrity, info.size, opts)
         return this.Promise.resolve(new fetch.Response(body, {
           url: req.url,
           headers: resHeaders,
-          status: 200,
+          status,
+          statusText,
           size: info.size
         }))
       }
     })
   }
 
+  // Content is stored by its integrity, so when a request knows the integrity
+  // it wants, that content can be used no matter which URL it was stored
+  // under -- the same tarball from a mirror, for example. Content stored
+  // under the request's own URL gets served with the headers it was stored
+  // with. Otherwise, there's no entry to get headers from, so the response is
+  // made up around the content.
+  _matchIntegrity (req, opts) {
+    if (!opts.integrity || !this._storage.hasContent) {
+      return this.Promise.resolve()
+    }
+    return this._storage.hasContent(opts.integrity, opts).then(found => {
+      if (!found) {
+        return
+      }
+      return this._find(req).then(stored => {
+        const info = stored && stored.info
+        const own = info && info.integrity &&
+          ssri.parse(opts.integrity).match(info.integrity)
+        return own && this._matchUrl(req, opts)
+      }).then(res => res || this._synthesize(req, found, opts))
+    })
+  }
+
+  // Makes up a response for content found by `opts.integrity`.
+  _synthesize (req, found, opts) {
+    const integrity = (found.sri || ssri.parse(opts.integrity)).toString()
+    events.emit('cache-hit', {url: req.url, key: null, integrity})
+    const resHeaders = new fetch.Headers({
+      // Content matching its integrity is exactly what was asked for, so
+      // there's never any need to revalidate it.
+      'Cache-Control': 'immutable, max-age=31536000',
+      'Date': new Date().toUTCString()
+    })
+    if (found.size != null) {
+      resHeaders.set('Content-Length', found.size)
+    }
+    resHeaders.set('X-Local-Cache', encodeURIComponent(this._path))
+    resHeaders.set('X-Local-Cache-Hash', encodeURIComponent(integrity))
+    return new fetch.Response(
+      req.method === 'HEAD' ? null : this._readBody(integrity, found.size, opts),
+      {
+        url: req.url,
+        headers: resHeaders,
+        status: 200,
+        size: found.size
+      }
+    )
+  }
+
+  // Returns a stream of the content for `integrity`. Nothing gets read until
+  // someone actually tries to read from it.
+  _readBody (integrity, contentSize, opts) {
+    let body
+    const storage = this._storage
+    if (
+      !storage.read ||
+      (opts.memoize !== false && contentSize > MAX_MEM_SIZE)
+    ) {
+      body = new stream.PassThrough()
+      const realRead = body._read
+      body._read = function (size) {
+        body._read = realRead
+        pipe(
+          storage.readStream(integrity, {
+            memoize: opts.memoize
+          }),
+          body,
+          err => body.emit(err))
+        return realRead.call(this, size)
+      }
+    } else {
+      let readOnce = false
+      // cacache is much faster at bulk reads
+      body = new stream.Readable({
+        read () {
+          if (readOnce) return this.push(null)
+          readOnce = true
+          storage.read(integrity, {
+            memoize: opts.memoize
+          }).then(data => {
+            this.push(data)
+            this.push(null)
+          }, err => this.emit('error', err))
+        }
+      })
+    }
+    return body
+  }
+
   // Takes both a request and its response and adds it to the given cache.
   put (req, response, opts) {
     opts = opts || {}
+    // Time spent waiting on storage goes into the request's timings.
+    const timeWrite = start => {
+      if (opts.timings) {
+        opts.timings.cacheWrite += Date.now() - start
+      }
+    }
     const size = response.headers.get('content-length')
     const fitInMemory = !!size && opts.memoize !== false && size < MAX_MEM_SIZE
-    const ckey = cacheKey(req)
     const cacheOpts = {
       algorithms: opts.algorithms,
       metadata: {
         url: req.url,
         reqHeaders: req.headers.raw(),
-        resHeaders: response.headers.raw()
+        resHeaders: response.headers.raw(),
+        status: response.status,
+        statusText: response.statusText
       },
       uid: this._uid,
       gid: this._gid,
@@ -124,54 +247,144 @@ module.exports = class Cache {
       memoize: fitInMemory && opts.memoize
     }
     if (req.method === 'HEAD' || response.status === 304) {
+      const start = Date.now()
       // Update metadata without writing
-      return cacache.get.info(this._path, ckey).then(info => {
+      return this._find(req).then(found => {
+        if (!found) {
+          // Nothing stored to update
+          return
+        }
+        const info = found.info
         // Providing these will bypass content write
         cacheOpts.integrity = info.integrity
+        // HEADs and 304s only refresh headers. The stored response keeps its
+        // original status.
+        cacheOpts.metadata.status = info.metadata.status
+        cacheOpts.metadata.statusText = info.metadata.statusText
+        // https://tools.ietf.org/html/rfc7234#section-4.3.4
+        cacheOpts.metadata.resHeaders = Object.assign(
+          {}, info.metadata.resHeaders, cacheOpts.metadata.resHeaders
+        )
         addCacheHeaders(
-          response.headers, this._path, ckey, info.integrity, info.time
+          response.headers, this._path, found.key, info.integrity, info.time
         )
-        return new this.Promise((resolve, reject) => {
-          pipe(
-            cacache.get.stream.byDigest(this._path, info.integrity, cacheOpts),
-            cacache.put.stream(this._path, cacheKey(req), cacheOpts),
-            err => err ? reject(err) : resolve(response)
+        return this._entryKeys(req, cacheOpts.metadata).then(keys => {
+          return linkEntries(
+            this._storage,
+            info.integrity,
+            keys,
+            Object.assign({}, cacheOpts, {size: info.size})
           )
+        }).then(() => {
+          events.emit('cache-store', {
+            url: req.url,
+            key: found.key,
+            integrity: info.integrity
+          })
         })
-      }).then(() => response)
+      }).then(() => {
+        timeWrite(start)
+        return response
+      })
     }
+    const entryKeys = this._entryKeys(req, cacheOpts.metadata)
+    let integrity
     let buf = []
     let bufSize = 0
+    let written = 0
     let cacheTargetStream = false
-    const cachePath = this._path
+    let aborted = false
+    const linkOpts = () => Object.assign({}, cacheOpts, {size: written})
+    // Content goes under the first key. Any others just get linked to it.
+    const linkRest = () => entryKeys.then(keys => {
+      return linkEntries(this._storage, integrity, keys.slice(1), linkOpts())
+    })
+    // Streamed content only gets linked to its real keys once all of it is
+    // there, so a write that gets cut off never replaces what's already
+    // cached. Storage that can't write content without an entry gets a
+    // partial entry for it in the meantime.
+    const contentOnly = !!(this._storage.writeContentStream && this._storage.link)
+    const partialKey = contentOnly
+      ? null
+      : PARTIAL_PREFIX + crypto.randomBytes(16).toString('hex')
+    const linkPartial = () => entryKeys.then(keys => {
+      return linkEntries(this._storage, integrity, keys, linkOpts())
+    }).then(() => partialKey && this._storage.delete(partialKey))
+    const openCacheTarget = keys => {
+      if (fitInMemory) {
+        cacheTargetStream =
+        to({highWaterMark: MAX_MEM_SIZE}, (chunk, enc, cb) => {
+          buf.push(chunk)
+          bufSize += chunk.length
+          cb()
+        }, done => {
+          this._write(
+            keys[0],
+            Buffer.concat(buf, bufSize),
+            cacheOpts
+          ).then(int => {
+            integrity = int
+            return linkRest()
+          }).then(
+            () => done(),
+            done
+          )
+        })
+      } else {
+        cacheTargetStream = contentOnly
+          ? this._storage.writeContentStream(cacheOpts)
+          : this._storage.writeStream(partialKey, cacheOpts)
+        cacheTargetStream.on('integrity', int => {
+          integrity = int
+        })
+      }
+    }
     let cacheStream = to((chunk, enc, cb) => {
-      if (!cacheTargetStream) {
-        if (fitInMemory) {
-          cacheTargetStream =
-          to({highWaterMark: MAX_MEM_SIZE}, (chunk, enc, cb) => {
-            buf.push(chunk)
-            bufSize += chunk.length
-            cb()
-          }, done => {
-            cacache.put(
-              cachePath,
-              cacheKey(req),
-              Buffer.concat(buf, bufSize),
-              cacheOpts
-            ).then(
-              () => done(),
-              done
-            )
-          })
-        } else {
-          cacheTargetStream =
-          cacache.put.stream(cachePath, cacheKey(req), cacheOpts)
-        }
+      written += chunk.length
+      if (cacheTargetStream) {
+        return cacheTargetStream.write(chunk, enc, cb)
       }
-      cacheTargetStream.write(chunk, enc, cb)
+      entryKeys.then(keys => {
+        if (aborted) { return cb() }
+        openCacheTarget(keys)
+        cacheTargetStream.write(chunk, enc, cb)
+      }, cb)
     }, done => {
-      cacheTargetStream ? cacheTargetStream.end(done) : done()
+      if (cacheTargetStream) {
+        cacheTargetStream.end(() => {
+          fitInMemory ? done() : linkPartial().then(() => done(), done)
+        })
+      } else {
+        // Empty bodies (204s, for example) never open a cache stream, but
+        // still get an entry.
+        entryKeys.then(keys => {
+          return this._write(keys[0], Buffer.alloc(0), cacheOpts)
+        }).then(int => {
+          integrity = int
+          return linkRest()
+        }).then(
+          () => done(),
+          done
+        )
+      }
+    })
+    cacheStream.once('finish', () => {
+      entryKeys.then(keys => {
+        events.emit('cache-store', {url: req.url, key: keys[0], integrity})
+      })
+      this._autoPrune()
     })
+    // Responses whose bodies error out partway through must never be served
+    // from the cache. Storage can't be told to throw away a write halfway
+    // through, so the partial write is finished, then removed.
+    const abortCacheWrite = () => {
+      if (aborted) { return }
+      aborted = true
+      // In-memory writes haven't gone anywhere yet.
+      if (cacheTargetStream && !fitInMemory) {
+        cacheTargetStream.end(() => this._discard(partialKey, integrity))
+      }
+    }
     const oldBody = response.body
     const newBody = through({highWaterMark: fitInMemory && MAX_MEM_SIZE})
     response.body = newBody
@@ -179,16 +392,25 @@ module.exports = class Cache {
     newBody.once('error', err => oldBody.emit('error', err))
     cacheStream.once('error', err => newBody.emit('error', err))
     pipe(oldBody, to((chunk, enc, cb) => {
+      const start = Date.now()
       cacheStream.write(chunk, enc, () => {
+        timeWrite(start)
         newBody.write(chunk, enc, cb)
       })
     }, done => {
+      const start = Date.now()
       cacheStream.end(() => {
+        timeWrite(start)
         newBody.end(() => {
           done()
         })
       })
-    }), err => err && newBody.emit('error', err))
+    }), err => {
+      if (err) {
+        abortCacheWrite()
+        newBody.emit('error', err)
+      }
+    })
     return response
   }
 
@@ -208,14 +430,337 @@ module.exports = class Cache {
         })
       }
     }
-    return cacache.rm.entry(
-      this._path,
-      cacheKey(req)
+    const key = cacheKey(req)
+    return this._storage.info(key).then(info => {
+      const vary = info && info.metadata &&
+        new fetch.Headers(info.metadata.resHeaders).get('vary')
+      // Other variants become unreachable once the main entry is gone (see
+      // _find()), so there's no need to hunt them down.
+      return this.Promise.all([key].concat(
+        vary ? variantKey(key, vary, req.headers) : []
+      ).map(k => this._storage.delete(k)))
     // TODO - true/false
-    ).then(() => false)
+    }).then(() => {
+      events.emit('cache-delete', {url: req.url, key})
+      return false
+    })
+  }
+
+  // Resolves to a Request for each response stored in the cache.
+  keys () {
+    return this._list().then(entries => entries.map(entry => {
+      return new fetch.Request(entry.url, { headers: entry.reqHeaders })
+    }))
+  }
+
+  // Returns an object stream with details about each response stored in the
+  // cache, including whether it can still be used without revalidation.
+  // Core streams can be read with `for await` wherever that's supported.
+  entries () {
+    const cache = this
+    let list
+    return new stream.Readable({
+      objectMode: true,
+      read () {
+        list = list || cache._list()
+        list.then(
+          entries => this.push(entries.shift() || null),
+          err => this.emit('error', err))
+      }
+    })
+  }
+
+  // Writes every cached response to `stream` as a single archive, for
+  // Cache.import() to read back in somewhere else, then ends it. Resolves to
+  // `{entries, size}`.
+  export (stream) {
+    return this._storage.list().then(entries => {
+      return this.Promise.all(entries.filter(entry => {
+        return entry.key.indexOf(KEY_PREFIX) === 0 && entry.metadata
+      }).map(entry => {
+        return this._hasContent(entry.integrity).then(has => has && entry)
+      }))
+    }).then(entries => {
+      return archive.pack(this._storage, entries.filter(x => x), stream)
+    })
+  }
+
+  // Reads an archive made by `cache.export()` into the cache at `path`,
+  // verifying all of its content along the way. Resolves to
+  // `{entries, size}`.
+  static import (path, stream, opts) {
+    const cache = new this(path, opts)
+    return archive.unpack(cache._storage, stream, {
+      uid: cache._uid,
+      gid: cache._gid
+    })
+  }
+
+  // Resolves to totals for the whole cache. Content shared by several entries
+  // only counts towards `size` once.
+  stat () {
+    return this._list().then(entries => {
+      const sizes = {}
+      entries.forEach(entry => {
+        sizes[entry.integrity] = entry.size || 0
+      })
+      const stale = entries.filter(entry => entry.stale).length
+      return {
+        entries: entries.length,
+        fresh: entries.length - stale,
+        stale,
+        size: Object.keys(sizes).reduce((acc, k) => acc + sizes[k], 0)
+      }
+    })
+  }
+
+  // Removes entries older than `maxAge`, then evicts the least recently
+  // validated ones until the cache fits within `maxEntries` and `maxSize`.
+  // Content that's no longer used by any entry is removed along with them.
+  // Every variant of a URL counts as part of a single entry.
+  prune () {
+    const now = Date.now()
+    const isExpired = entry => this._maxAge != null &&
+      now - entry.time > this._maxAge
+    const groups = new Map()
+    const removed = []
+    let all
+    return this._storage.list().then(entries => {
+      all = entries
+      all.forEach(entry => {
+        // The index may be shared with other cacache users. Leave their stuff
+        // alone.
+        if (entry.key.indexOf(KEY_PREFIX) !== 0) { return }
+        const key = entry.key.split(VARY_MARKER)[0]
+        const group = groups.get(key) || { entries: [] }
+        groups.set(key, group)
+        if (entry.key === key) {
+          group.main = entry
+        } else {
+          group.entries.push(entry)
+        }
+      })
+
+      const live = []
+      groups.forEach(group => {
+        const main = group.main
+        if (!main || isExpired(main)) {
+          // Variants can't be reached without their main entry.
+          removed.push.apply(removed, group.entries.concat(main || []))
+          return
+        }
+        const since = main.metadata && main.metadata.variantsSince
+        group.entries = group.entries.filter(entry => {
+          if (!isExpired(entry) && since && entry.time >= since) {
+            return true
+          }
+          removed.push(entry)
+          return false
+        })
+        group.entries.push(main)
+        const sizes = {}
+        group.entries.forEach(entry => {
+          sizes[entry.integrity] = entry.size || 0
+        })
+        group.size = Object.keys(sizes).reduce((acc, k) => acc + sizes[k], 0)
+        live.push(group)
+      })
+
+      live.sort((a, b) => a.main.time - b.main.time)
+      let size = live.reduce((acc, group) => acc + group.size, 0)
+      while (live.length && (
+        (this._maxEntries != null && live.length > this._maxEntries) ||
+        (this._maxSize != null && size > this._maxSize)
+      )) {
+        const group = live.shift()
+        size -= group.size
+        removed.push.apply(removed, group.entries)
+      }
+
+      return this.Promise.all(
+        removed.map(entry => this._storage.delete(entry.key))
+      ).then(() => {
+        const removedKeys = new Set(removed.map(entry => entry.key))
+        const inUse = new Set(all.filter(entry => {
+          return !removedKeys.has(entry.key)
+        }).map(entry => entry.integrity))
+        const orphans = new Set(removed.map(entry => entry.integrity).filter(
+          integrity => !inUse.has(integrity)
+        ))
+        // Storage without removeContent() takes care of this on its own.
+        return this._storage.removeContent && this.Promise.all(
+          Array.from(orphans).map(integrity => {
+            return this._storage.removeContent(integrity)
+          })
+        )
+      }).then(() => ({
+        removed: removed.length,
+        entries: live.length,
+        size
+      }))
+    })
+  }
+
+  // Prunes the cache after a write if it has any limits configured, at most
+  // once every `_pruneInterval` per cache.
+  _autoPrune () {
+    if (
+      this._maxSize == null &&
+      this._maxEntries == null &&
+      this._maxAge == null
+    ) {
+      return
+    }
+    // Cache instances for the same cacache directory are separate objects
+    // that share storage.
+    const pruneKey = this._storage instanceof CacacheStorage
+      ? this._path
+      : this._storage
+    const last = PRUNES.get(pruneKey)
+    if (last && (last.running || Date.now() - last.time < this._pruneInterval)) {
+      return
+    }
+    const state = { running: true, time: Date.now() }
+    PRUNES.set(pruneKey, state)
+    this.prune().catch(() => {
+      // Pruning is best-effort. We'll try again next time.
+    }).then(() => {
+      state.running = false
+    })
+  }
+
+  // Resolves to every response that can be matched, one per URL or per
+  // variant. Main entries for responses with a `Vary` are left out, since they
+  // duplicate one of their variants.
+  _list () {
+    return this._storage.list().then(entries => {
+      const index = {}
+      entries.forEach(entry => {
+        index[entry.key] = entry
+      })
+      return Object.keys(index).filter(k => {
+        const entry = index[k]
+        if (k.indexOf(KEY_PREFIX) !== 0 || !entry.metadata) {
+          return false
+        }
+        const main = index[k.split(VARY_MARKER)[0]]
+        const since = main && main.metadata && main.metadata.variantsSince
+        return main === entry ? !since : !!since && entry.time >= since
+      }).map(k => {
+        const entry = index[k]
+        const metadata = entry.metadata
+        const reqHeaders = new fetch.Headers(metadata.reqHeaders)
+        const headers = new fetch.Headers(metadata.resHeaders)
+        const status = metadata.status || 200
+        addCacheHeaders(headers, this._path, k, entry.integrity, entry.time)
+        return {
+          key: k,
+          url: metadata.url,
+          status,
+          statusText: metadata.statusText,
+          headers,
+          reqHeaders,
+          size: entry.size,
+          integrity: entry.integrity,
+          time: entry.time,
+          stale: isStale(
+            { url: metadata.url, method: 'GET', headers: reqHeaders },
+            { status, headers }
+          )
+        }
+      })
+    })
+  }
+
+  // Removes an entry, along with its content if nothing else is using it.
+  // Content that was written without an entry has a null `key`.
+  _discard (key, integrity) {
+    return this.Promise.resolve(
+      key === null || this._storage.delete(key)
+    ).then(() => {
+      return this._storage.removeContent && this._storage.list()
+    }).then(entries => {
+      const inUse = !entries || entries.some(entry => {
+        return String(entry.integrity) === String(integrity)
+      })
+      return inUse || this._storage.removeContent(integrity)
+    }).catch(() => {
+      // Partial entries never match anyway.
+    })
+  }
+
+  _hasContent (integrity, opts) {
+    return this._storage.hasContent
+      ? this._storage.hasContent(integrity, opts)
+      : this.Promise.resolve(true)
+  }
+
+  // Writes all of `data` in one go, resolving to its integrity.
+  _write (key, data, opts) {
+    if (this._storage.write) {
+      return this._storage.write(key, data, opts)
+    }
+    return new this.Promise((resolve, reject) => {
+      let integrity
+      const target = this._storage.writeStream(key, opts)
+      target.on('integrity', int => {
+        integrity = int
+      })
+      finished(target, err => err ? reject(err) : resolve(integrity))
+      target.end(data)
+    })
+  }
+
+  // Finds the stored entry for a request, picking the variant that matches
+  // its headers if the latest response for that URL doesn't.
+  _find (req) {
+    const key = cacheKey(req)
+    return this._storage.info(key).then(info => {
+      if (!info || !info.metadata || !info.metadata.variantsSince) {
+        return info && { key, info }
+      }
+      const vary = new fetch.Headers(info.metadata.resHeaders).get('vary')
+      const reqHeaders = new fetch.Headers(info.metadata.reqHeaders)
+      const varyMatches = varyFields(vary).every(field => {
+        return reqHeaders.get(field) === req.headers.get(field)
+      })
+      if (varyMatches) {
+        return { key, info }
+      }
+      const vkey = variantKey(key, vary, req.headers)
+      return this._storage.info(vkey).then(vinfo => {
+        // Variants stored before the latest one was invalidated are stale.
+        return vinfo && vinfo.time >= info.metadata.variantsSince
+          ? { key: vkey, info: vinfo }
+          : { key, info }
+      })
+    })
+  }
+
+  // Resolves to the list of keys a response should be stored under. For
+  // responses with a `Vary`, this also records in `metadata` since when its
+  // variants have been collecting.
+  _entryKeys (req, metadata) {
+    const key = cacheKey(req)
+    const vary = new fetch.Headers(metadata.resHeaders).get('vary')
+    if (!vary || vary.match(/\*/)) {
+      return this.Promise.resolve([key])
+    }
+    return this._storage.info(key).then(info => {
+      const prevVary = info && info.metadata &&
+        new fetch.Headers(info.metadata.resHeaders).get('vary')
+      const sameVariants = info && info.metadata.variantsSince && prevVary &&
+        varyFields(prevVary).join() === varyFields(vary).join()
+      metadata.variantsSince = sameVariants
+        ? info.metadata.variantsSince
+        : Date.now()
+      return [key, variantKey(key, vary, req.headers)]
+    })
   }
 }
 
+module.exports.cacheKey = cacheKey
+
 function matchDetails (req, cached) {
   const reqUrl = url.parse(req.url)
   const cacheUrl = url.parse(cached.url)
@@ -241,6 +786,26 @@ function matchDetails (req, cached) {
   return url.format(reqUrl) === url.format(cacheUrl)
 }
 
+// Adds entries for each of `keys`, pointing to already-stored content.
+// Storage that can't do that directly gets the content copied over instead.
+function linkEntries (storage, integrity, keys, cacheOpts) {
+  if (storage.link) {
+    return keys.reduce((acc, key) => acc.then(() => {
+      return storage.link(key, integrity, cacheOpts)
+    }), Promise.resolve())
+  }
+  const linkOpts = Object.assign({}, cacheOpts, { integrity })
+  return keys.reduce((acc, key) => acc.then(() => {
+    return new Promise((resolve, reject) => {
+      pipe(
+        storage.readStream(integrity, linkOpts),
+        storage.writeStream(key, linkOpts),
+        err => err ? reject(err) : resolve()
+      )
+    })
+  }), Promise.resolve())
+}
+
 function addCacheHeaders (resHeaders, path, key, hash, time) {
   resHeaders.set('X-Local-Cache', encodeURIComponent(path))
   resHeaders.set('X-Local-Cache-Key', encodeURIComponent(key))
@@ -0,0 +1,103 @@
+'use strict'
+
+const LRU = require('lru-cache')
+const url = require('url')
+const getProxyUri = require('./agent').getProxyUri
+
+const DEFAULT_THRESHOLD = 5
+const DEFAULT_COOLDOWN = 30 * 1000 // 30s
+
+const CIRCUITS = new LRU({ max: 50 })
+
+module.exports = getCircuit
+
+// Returns the circuit breaker for requests to `uri`, or null if
+// `opts.circuitBreaker` isn't set. Requests share a circuit if they go to the
+// same origin through the same proxy.
+function getCircuit (uri, opts) {
+  if (!opts.circuitBreaker) {
+    return null
+  }
+
+  const parsedUri = url.parse(uri)
+  const pxuri = getProxyUri(uri, opts)
+  const origin = `${parsedUri.protocol}//${parsedUri.host}`
+
+  const key = [
+    `origin:${origin}`,
+    pxuri
+      ? `proxy:${pxuri.protocol}//${pxuri.host}:${pxuri.port}`
+      : '>no-proxy<'
+  ].join(':')
+
+  const settings = typeof opts.circuitBreaker === 'object'
+    ? opts.circuitBreaker
+    : {}
+
+  let circuit = CIRCUITS.get(key)
+  if (!circuit) {
+    circuit = new Circuit(origin)
+    CIRCUITS.set(key, circuit)
+  }
+  circuit.threshold = settings.threshold || DEFAULT_THRESHOLD
+  circuit.cooldown = settings.cooldown == null
+    ? DEFAULT_COOLDOWN
+    : settings.cooldown
+  return circuit
+}
+
+// A circuit starts out closed, letting everything through. After `threshold`
+// failures in a row it opens, and requests fail right away with ECIRCUITOPEN
+// until `cooldown` ms have passed. After that, it's half-open: a single trial
+// request is let through, and closes the circuit again if it succeeds, or
+// reopens it if it doesn't. Requests aborted by the caller don't count.
+class Circuit {
+  constructor (origin) {
+    this.origin = origin
+    this.failures = 0
+    this.openedAt = null
+    this.trial = false
+  }
+
+  // Throws if a request shouldn't be made right now. Returns true if the
+  // request is the half-open circuit's trial.
+  check () {
+    if (this.openedAt === null) {
+      return false
+    }
+
+    const retryAt = this.openedAt + this.cooldown
+    if (this.trial || Date.now() < retryAt) {
+      const err = new Error(
+        `Circuit open for ${this.origin} after ${this.failures} consecutive failures`
+      )
+      err.code = 'ECIRCUITOPEN'
+      err.retryAt = new Date(retryAt)
+      throw err
+    }
+
+    this.trial = true
+    return true
+  }
+
+  success () {
+    this.failures = 0
+    this.openedAt = null
+    this.trial = false
+  }
+
+  // For requests the caller gave up on, which say nothing either way about
+  // how the origin is doing. A trial that got cancelled lets the next request
+  // try instead.
+  cancel () {
+    this.trial = false
+  }
+
+  failure () {
+    this.failures++
+    if (this.trial || this.failures >= this.threshold) {
+      this.openedAt = Date.now()
+    }
+    this.trial = false
+  }
+}
@@ -0,0 +1,24 @@
+'use strict'
+
+const EventEmitter = require('events')
+
+// Everything make-fetch-happen does gets published here, as `fetch.events`,
+// so it can be logged or measured without wrapping every call. Each event
+// gets a single object describing what happened:
+//
+// * `request` - `{method, url, attempt}`, before each request goes out.
+// * `response` - `{method, url, attempt, status}`, for each response.
+// * `retry` - `{method, url, attempt, error, status}`, when a failed attempt
+//   is about to be retried. Only one of `error` and `status` is set.
+// * `redirect` - `{from, to, status}`, when a redirect is followed.
+// * `cache-hit` - `{url, key, integrity}`, when a response is in the cache.
+//   `key` is null when it was found by its integrity alone.
+// * `cache-miss` - `{url}`, when it isn't.
+// * `cache-store` - `{url, key, integrity}`, once a response has been
+//   written to the cache, or had its cached headers updated.
+// * `cache-delete` - `{url, key}`, when a response is removed from the cache.
+// * `integrity-failure` - `{url, expected, found}`, when a response doesn't
+//   match its expected integrity.
+// * `proxy` - `{url, proxy}`, when a request is sent through a proxy. Any
+//   credentials in the proxy's URL are left out.
+module.exports = new EventEmitter()
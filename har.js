@@ -0,0 +1,243 @@
+'use strict'
+
+const Buffer = require('safe-buffer').Buffer
+const fetch = require('node-fetch-npm')
+const fs = require('fs')
+const pkg = require('./package.json')
+const Stream = require('stream')
+const url = require('url')
+
+// Recording and replaying requests as HAR 1.2 files
+// (http://www.softwareishard.com/blog/har-12-spec/).
+//
+// `opts.record` is the path of a HAR file to write every network request and
+// response to, and `opts.replay` is one to serve responses from instead of
+// going to the network. Credentials are left out of recordings unless
+// `opts.recordCredentials` is set, since HAR files tend to get shared.
+
+module.exports.record = record
+module.exports.replay = replay
+
+// HAR paths being recorded to -> {log, writing}
+const RECORDINGS = new Map()
+// HAR paths being replayed from -> {mtime, entries, used}
+const REPLAYS = new Map()
+
+// Headers that get their values replaced with REDACTED
+const CREDENTIAL_HEADERS = ['authorization', 'cookie', 'proxy-authorization']
+const RESPONSE_CREDENTIAL_HEADERS = ['set-cookie']
+const REDACTED = '[REDACTED]'
+// The `user:password@` in a URL
+const USERINFO = /^([a-z][a-z0-9+.-]*:\/\/)[^/?#@]*@/i
+
+// Adds `req` and `res` to the HAR file at `opts.record`. The response body
+// gets read in full so it can be recorded, and `res` resolves with a copy of
+// it once it's been written.
+function record (req, res, opts, startedAt) {
+  const path = opts.record
+  let recording = RECORDINGS.get(path)
+  if (!recording) {
+    // Each process starts its recordings from scratch.
+    recording = {
+      log: {
+        version: '1.2',
+        creator: { name: pkg.name, version: pkg.version },
+        entries: []
+      },
+      writing: Promise.resolve()
+    }
+    RECORDINGS.set(path, recording)
+  }
+  const responseStart = Date.now()
+  return res.buffer().then(body => {
+    const now = Date.now()
+    const headers = Object.assign({}, res.headers.raw())
+    if (wasDecoded(req, res, opts)) {
+      // What gets recorded is what node-fetch handed us, which has already
+      // been decompressed.
+      delete headers['content-encoding']
+      delete headers['content-length']
+    }
+    const harHeaders = Object.assign({}, headers)
+    redactHeaders(harHeaders, RESPONSE_CREDENTIAL_HEADERS, opts)
+    recording.log.entries.push({
+      startedDateTime: new Date(startedAt).toISOString(),
+      time: now - startedAt,
+      request: harRequest(req, opts),
+      response: {
+        status: res.status,
+        statusText: res.statusText || '',
+        httpVersion: 'HTTP/1.1',
+        cookies: [],
+        headers: harPairs(harHeaders),
+        content: {
+          size: body.length,
+          mimeType: res.headers.get('content-type') || '',
+          text: body.toString('base64'),
+          encoding: 'base64'
+        },
+        redirectURL: res.headers.get('location') || '',
+        headersSize: -1,
+        bodySize: body.length
+      },
+      cache: {},
+      timings: {
+        send: 0,
+        wait: responseStart - startedAt,
+        receive: now - responseStart
+      }
+    })
+    const json = JSON.stringify({ log: recording.log }, null, 2)
+    recording.writing = recording.writing.then(() => writeFile(path, json))
+    return recording.writing.then(() => {
+      return makeResponse(body, {
+        url: res.url,
+        status: res.status,
+        statusText: res.statusText,
+        headers: new fetch.Headers(headers),
+        size: res.size,
+        timeout: res.timeout
+      })
+    })
+  })
+}
+
+// Resolves to a response for `req` from the HAR file at `opts.replay`.
+// Requests made more than once get each of their recorded responses in
+// turn, with the last one repeating once they run out.
+function replay (req, opts) {
+  const path = opts.replay
+  return loadReplay(path).then(replaying => {
+    const matches = replaying.entries.filter(entry => {
+      return entry.request.method === req.method && (
+        entry.request.url === req.url ||
+        entry.request.url === redactUrl(req.url)
+      )
+    })
+    if (!matches.length) {
+      const err = new Error(
+        `No response recorded for ${req.method} ${req.url} in ${path}`
+      )
+      err.code = 'ENOTRECORDED'
+      throw err
+    }
+    const entry = matches.find(entry => !replaying.used.has(entry)) ||
+      matches[matches.length - 1]
+    replaying.used.add(entry)
+    const content = entry.response.content || {}
+    const headers = new fetch.Headers()
+    entry.response.headers.forEach(h => headers.append(h.name, h.value))
+    return makeResponse(
+      Buffer.from(content.text || '', content.encoding || 'utf8'),
+      {
+        url: req.url,
+        status: entry.response.status,
+        statusText: entry.response.statusText,
+        headers,
+        size: opts.size,
+        timeout: opts.timeout
+      }
+    )
+  })
+}
+
+function loadReplay (path) {
+  return new Promise((resolve, reject) => {
+    fs.stat(path, (err, stat) => err ? reject(err) : resolve(stat))
+  }).then(stat => {
+    const replaying = REPLAYS.get(path)
+    if (replaying && replaying.mtime === stat.mtime.getTime()) {
+      return replaying
+    }
+    return new Promise((resolve, reject) => {
+      fs.readFile(path, 'utf8', (err, data) => err ? reject(err) : resolve(data))
+    }).then(data => {
+      const replaying = {
+        mtime: stat.mtime.getTime(),
+        entries: JSON.parse(data).log.entries,
+        used: new Set()
+      }
+      REPLAYS.set(path, replaying)
+      return replaying
+    })
+  })
+}
+
+// node-fetch decompresses gzipped and deflated responses unless told not to.
+function wasDecoded (req, res, opts) {
+  const encoding = res.headers.get('content-encoding')
+  return opts.compress !== false &&
+    req.method !== 'HEAD' &&
+    res.status !== 204 &&
+    res.status !== 304 &&
+    /^(x-)?(gzip|deflate)$/.test(encoding || '')
+}
+
+function harRequest (req, opts) {
+  const query = url.parse(req.url, true).query
+  const headers = Object.assign({}, req.headers.raw())
+  redactHeaders(headers, CREDENTIAL_HEADERS, opts)
+  const harReq = {
+    method: req.method,
+    url: opts.recordCredentials ? req.url : redactUrl(req.url),
+    httpVersion: 'HTTP/1.1',
+    cookies: [],
+    headers: harPairs(headers),
+    queryString: harPairs(query),
+    headersSize: -1,
+    bodySize: -1
+  }
+  const body = typeof req.body === 'string' || Buffer.isBuffer(req.body)
+    ? req.body
+    : null
+  if (body !== null) {
+    // Streamed bodies are gone by now, so only these can be recorded.
+    harReq.bodySize = Buffer.byteLength(body)
+    harReq.postData = {
+      mimeType: req.headers.get('content-type') || '',
+      text: body.toString()
+    }
+  }
+  return harReq
+}
+
+// Replaces the values of the `names` headers in a `{name: [values]}` object,
+// unless `opts.recordCredentials` is set.
+function redactHeaders (headers, names, opts) {
+  if (opts.recordCredentials) {
+    return
+  }
+  names.forEach(name => {
+    if (headers[name]) {
+      headers[name] = headers[name].map(() => REDACTED)
+    }
+  })
+}
+
+function redactUrl (uri) {
+  return uri.replace(USERINFO, `$1${REDACTED}@`)
+}
+
+// `{name: value or [values]}` -> `[{name, value}]`, for headers and query
+// strings.
+function harPairs (obj) {
+  const list = []
+  Object.keys(obj).forEach(name => {
+    [].concat(obj[name]).forEach(value => {
+      list.push({ name, value: String(value) })
+    })
+  })
+  return list
+}
+
+function makeResponse (body, opts) {
+  const stream = new Stream.PassThrough()
+  stream.end(body)
+  return new fetch.Response(stream, opts)
+}
+
+function writeFile (path, data) {
+  return new Promise((resolve, reject) => {
+    fs.writeFile(path, data, err => err ? reject(err) : resolve())
+  })
+}
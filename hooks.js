@@ -0,0 +1,63 @@
+'use strict'
+
+const fetch = require('node-fetch-npm')
+
+// `opts.hooks` maps hook names to a function, or an array of functions that
+// get called in order:
+//
+// * `beforeRequest(req)` - before every request goes out, including retries
+//   and redirects.
+// * `afterResponse(res, req)` - for every response that comes back.
+// * `beforeRetry(req, errOrRes, attemptNum)` - before a request is retried.
+// * `beforeRedirect(req, res)` - before a redirect is followed. `req` is the
+//   request that's about to be made to the redirect's location.
+// * `onCacheHit(res, req)` - when a response gets served from the cache.
+// * `onCacheMiss(req)` - when there's no usable cached response for `req`.
+//
+// Hooks can return a promise. Returning a `Request` replaces the request the
+// hook was given, and returning a `Response` short-circuits the rest of the
+// hooks, and whatever the hook was about to lead to, with that response.
+
+module.exports.merge = merge
+module.exports.run = run
+
+// Resolves to the `Response` a hook short-circuited with, or to the first
+// argument, as replaced by any hooks along the way.
+function run (opts, name, args) {
+  const fns = getHooks(opts.hooks, name)
+  let i = 0
+  const next = () => {
+    if (i >= fns.length) {
+      return Promise.resolve(args[0])
+    }
+    const fn = fns[i++]
+    // Hooks that throw reject, same as ones that return a rejected promise.
+    return new Promise(resolve => resolve(fn.apply(null, args))).then(ret => {
+      if (ret instanceof fetch.Response) {
+        return ret
+      }
+      if (ret instanceof fetch.Request && args[0] instanceof fetch.Request) {
+        args = [ret].concat(args.slice(1))
+      }
+      return next()
+    })
+  }
+  return next()
+}
+
+// Combines two sets of hooks, so that `fetch.defaults()` adds on to any
+// hooks it was already given instead of replacing them.
+function merge (a, b) {
+  if (!a || !b) {
+    return a || b
+  }
+  const merged = {}
+  Object.keys(a).concat(Object.keys(b)).forEach(name => {
+    merged[name] = getHooks(a, name).concat(getHooks(b, name))
+  })
+  return merged
+}
+
+function getHooks (hooks, name) {
+  return [].concat((hooks && hooks[name]) || [])
+}
@@ -1,15 +1,31 @@
 'use strict'
 
 let Cache
+let CacacheStorage
+let MemoryCache
+const http = require('http')
+const https = require('https')
+const path = require('path')
 const url = require('url')
-const CachePolicy = require('http-cache-semantics')
 const fetch = require('node-fetch-npm')
 const pkg = require('./package.json')
+const getStaleness = require('./policy').getStaleness
+const isStale = require('./policy').isStale
+const iterableToObject = require('./policy').iterableToObject
+const makePolicy = require('./policy').makePolicy
 const retry = require('promise-retry')
 let ssri
 const Stream = require('stream')
+const abort = require('./abort')
+const events = require('./diagnostics')
 const getAgent = require('./agent')
+const getCircuit = require('./circuit')
+const har = require('./har')
+const hooks = require('./hooks')
+const offline = require('./offline')
 const setWarning = require('./warning')
+const timeouts = require('./timeouts')
+const timings = require('./timings')
 
 const isURL = /^https?:/
 const USER_AGENT = `${pkg.name}/${pkg.version} (+https://npm.im/${pkg.name})`
@@ -18,15 +34,61 @@ const RETRY_ERRORS = [
   'ECONNRESET', // remote socket closed on us
   'ECONNREFUSED', // remote host refused to open connection
   'EADDRINUSE', // failed to bind to a local port (proxy?)
-  'ETIMEDOUT' // someone in the transaction is WAY TOO SLOW
+  'ETIMEDOUT', // someone in the transaction is WAY TOO SLOW
+  'ECONNECTTIMEOUT', // opts.connectTimeout ran out
+  'ERESPONSETIMEOUT', // opts.responseTimeout ran out
+  'EINTEGRITY' // opts.bufferIntegrity caught a corrupted download
   // Known codes we do NOT retry on:
   // ENOTFOUND (getaddrinfo failure. Either bad hostname, or offline)
 ]
 
+// Headers that are never sent on to a different host
+const CREDENTIAL_HEADERS = [
+  'authorization',
+  'cookie',
+  'proxy-authorization'
+]
+
 const RETRY_TYPES = [
   'request-timeout'
 ]
 
+// Statuses that are cacheable by default (heuristically cacheable). No other
+// statuses should be stored!
+// https://tools.ietf.org/html/rfc7231#section-6.1
+const CACHEABLE_STATUSES = [
+  200, 203, 204, 300, 301, 404, 405, 410, 414, 501
+]
+
+// Cacheable requests currently waiting on a response, keyed by inflightKey()
+const INFLIGHT = new Map()
+
+// Responses whose bodies were already checked against opts.integrity
+const VERIFIED = new WeakSet()
+
+// How many requests fetch.prefetch() makes at once, by default
+const PREFETCH_CONCURRENCY = 10
+
+// Caches that don't live in a directory, and other options that can't be
+// compared by value -> their id for inflightKey()
+const OBJECT_IDS = new WeakMap()
+let nextObjectId = 0
+
+// Options that change how a request goes, or what it ends up with. Requests
+// only share a response if they agree on all of these, since everyone gets
+// the response the first one's options came up with.
+const COALESCE_OPTS = [
+  'agent', 'algorithms', 'bufferIntegrity', 'ca', 'cert', 'circuitBreaker',
+  'compress', 'connectTimeout', 'follow', 'idleTimeout', 'key',
+  'localAddress', 'maxSockets', 'memoize', 'mirrors', 'noProxy', 'offline',
+  'onRetry', 'preferOffline', 'preferOnline', 'proxy', 'record',
+  'recordCredentials', 'redirect', 'replay', 'responseTimeout', 'retry',
+  'size', 'staleIfError', 'strictSSL', 'timeout'
+]
+
+// `{memory: true}` cacheManager configs -> the MemoryCache made for them
+const MEMORY_CACHES = new WeakMap()
+
 // https://fetch.spec.whatwg.org/#http-network-or-cache-fetch
 module.exports = cachingFetch
 cachingFetch.defaults = function (_uri, _opts) {
@@ -37,15 +99,36 @@ cachingFetch.defaults = function (_uri, _opts) {
   }
 
   function defaultedFetch (uri, opts) {
+    return fetch(uri || _uri, finalOpts(opts))
+  }
+
+  function finalOpts (opts) {
     const finalOpts = Object.assign({}, _opts || {}, opts || {})
-    return fetch(uri || _uri, finalOpts)
+    finalOpts.hooks = hooks.merge(_opts && _opts.hooks, opts && opts.hooks)
+    return finalOpts
   }
 
   defaultedFetch.defaults = fetch.defaults
-  defaultedFetch.delete = fetch.delete
+  defaultedFetch.events = fetch.events
+  defaultedFetch.Headers = fetch.Headers
+  defaultedFetch.Request = fetch.Request
+  defaultedFetch.Response = fetch.Response
+  defaultedFetch.delete = function (uri, opts) {
+    return fetch.delete(uri || _uri, finalOpts(opts))
+  }
+  defaultedFetch.prefetch = function (urls, opts) {
+    return fetch.prefetch(urls, finalOpts(opts))
+  }
   return defaultedFetch
 }
 
+cachingFetch.events = events
+
+// Hooks need these to make their own requests and responses.
+cachingFetch.Headers = fetch.Headers
+cachingFetch.Request = fetch.Request
+cachingFetch.Response = fetch.Response
+
 cachingFetch.delete = cacheDelete
 function cacheDelete (uri, opts) {
   opts = configureOptions(opts)
@@ -58,16 +141,132 @@ function cacheDelete (uri, opts) {
   }
 }
 
-function initializeCache (opts) {
-  if (typeof opts.cacheManager === 'string') {
-    if (!Cache) {
-      // Default cacache-based cache
-      Cache = require('./cache')
+// Fills the cache with `urls` ahead of time, so they're there when the
+// network isn't. Resolves to a report instead of rejecting when some of them
+// fail.
+cachingFetch.prefetch = prefetch
+function prefetch (urls, _opts) {
+  const opts = Object.assign({}, _opts || {})
+  if (!opts.cacheManager) {
+    const err = new Error('fetch.prefetch() needs an opts.cacheManager to store responses in.')
+    err.code = 'ENOCACHE'
+    return Promise.reject(err)
+  }
+  // Anything already cached still gets checked with the server.
+  opts.cache = opts.cache || 'no-cache'
+  // Every request shares the one cache, instead of each making their own.
+  initializeCache(opts)
+
+  const entries = urls.map(entry => {
+    return typeof entry === 'string' ? {url: entry} : entry
+  })
+  const concurrency = opts.concurrency || PREFETCH_CONCURRENCY
+  const report = {succeeded: [], failed: [], bytes: 0}
+  let next = 0
+  const work = () => {
+    if (next >= entries.length) {
+      return
     }
+    const entry = entries[next++]
+    return prefetchEntry(entry, opts).then(result => {
+      report.succeeded.push({
+        url: entry.url,
+        status: result.status,
+        size: result.size
+      })
+      report.bytes += result.stored ? result.size : 0
+    }, error => {
+      report.failed.push({url: entry.url, error})
+    }).then(work)
+  }
+  const workers = []
+  for (let i = 0; i < Math.min(concurrency, entries.length); i++) {
+    workers.push(work())
+  }
+  return Promise.all(workers).then(() => report)
+}
+
+function prefetchEntry (entry, opts) {
+  const req = new fetch.Request(entry.url, {
+    method: 'GET',
+    headers: opts.headers
+  })
+  return cachingFetch(entry.url, Object.assign({}, opts, {
+    method: 'GET',
+    integrity: entry.integrity
+  })).then(res => {
+    // The cache only finishes writing once the body has been read through.
+    let size = 0
+    return new Promise((resolve, reject) => {
+      res.body.on('data', chunk => { size += chunk.length })
+      res.body.once('end', resolve)
+      res.body.once('error', reject)
+    }).then(() => {
+      // Revalidated responses keep their 304, but were already cached.
+      const fromCache =
+        ['hit', 'stale', 'revalidated'].indexOf(res.timings.cache) !== -1
+      if (!res.ok && !(fromCache && res.status === 304)) {
+        const err = new Error(`${res.status} ${res.statusText} prefetching ${entry.url}`)
+        err.code = `E${res.status}`
+        throw err
+      }
+      if (!fromCache && (
+        !makePolicy(req, res).storable() ||
+        CACHEABLE_STATUSES.indexOf(res.status) === -1
+      )) {
+        const err = new Error(`${entry.url} was fetched, but its response can't be cached.`)
+        err.code = 'ENOTCACHED'
+        throw err
+      }
+      return {
+        status: res.status,
+        size,
+        stored: !fromCache
+      }
+    })
+  })
+}
+
+function initializeCacheModule () {
+  if (!Cache) {
+    // Default cacache-based cache
+    Cache = require('./cache')
+    CacacheStorage = require('./cacache-storage')
+  }
+}
 
+function initializeCache (opts) {
+  if (typeof opts.cacheManager === 'string') {
+    initializeCacheModule()
     opts.cacheManager = new Cache(opts.cacheManager, opts)
+  } else if (
+    typeof opts.cacheManager.match !== 'function' &&
+    opts.cacheManager.memory
+  ) {
+    // There's no path to find the same memory cache by next time, so it's
+    // tied to the config object instead.
+    const config = opts.cacheManager
+    if (!MEMORY_CACHES.has(config)) {
+      MemoryCache = MemoryCache || require('./memory-cache')
+      MEMORY_CACHES.set(config, new MemoryCache(Object.assign({}, opts, config)))
+    }
+    opts.cacheManager = MEMORY_CACHES.get(config)
+  } else if (typeof opts.cacheManager.match !== 'function') {
+    // Options for the default cache, including its path
+    initializeCacheModule()
+    opts.cacheManager = new Cache(
+      opts.cacheManager.path,
+      Object.assign({}, opts, opts.cacheManager)
+    )
   }
 
+  if (!opts.cache && opts.offline) {
+    opts.cache = 'only-if-cached'
+  } else if (!opts.cache && opts.preferOffline) {
+    opts.cache = 'force-cache'
+  } else if (!opts.cache && opts.preferOnline) {
+    opts.cache = 'no-cache'
+  }
   opts.cache = opts.cache || 'default'
 
   if (opts.cache === 'default' && isHeaderConditional(opts.headers)) {
@@ -90,6 +289,10 @@ function configureOptions (_opts) {
     opts.retry = { retries: 0 }
   }
 
+  if (opts.deadline && opts.deadlineAt == null) {
+    opts.deadlineAt = Date.now() + opts.deadline
+  }
+
   if (opts.cacheManager) {
     initializeCache(opts)
   }
@@ -106,6 +309,20 @@ function initializeSsri () {
 function cachingFetch (uri, _opts) {
   const opts = configureOptions(_opts)
 
+  if (opts.timings) {
+    // Redirects get timed as part of the request that led to them.
+    return startFetch(uri, opts)
+  }
+  opts.timings = timings.create()
+  return startFetch(uri, opts).then(res => timings.finish(res, opts))
+}
+
+function startFetch (uri, opts) {
+  const abortErr = abort.getAbortError(opts)
+  if (abortErr) {
+    return Promise.reject(abortErr)
+  }
+
   if (opts.integrity) {
     initializeSsri()
     // if verifying integrity, node-fetch must not decompress
@@ -117,50 +334,125 @@ function cachingFetch (uri, _opts) {
     opts.cache !== 'no-store' &&
     opts.cache !== 'reload'
 
+  if (opts.offline && !isCachable) {
+    const err = new Error(
+      `request to ${uri} failed: opts.offline is set, but the request can't be served from the cache.`
+    )
+    err.code = 'ENOTCACHED'
+    return Promise.reject(err)
+  }
+
   if (isCachable) {
     const req = new fetch.Request(uri, {
       method: opts.method,
       headers: opts.headers
     })
 
-    return opts.cacheManager.match(req, opts).then(res => {
-      if (res) {
-        const warningCode = (res.headers.get('Warning') || '').match(/^\d+/)
-        if (warningCode && +warningCode >= 100 && +warningCode < 200) {
-          // https://tools.ietf.org/html/rfc7234#section-4.3.4
-          //
-          // If a stored response is selected for update, the cache MUST:
-          //
-          // * delete any Warning header fields in the stored response with
-          //   warn-code 1xx (see Section 5.5);
-          //
-          // * retain any Warning header fields in the stored response with
-          //   warn-code 2xx;
-          //
-          res.headers.delete('Warning')
-        }
-
-        if (opts.cache === 'default' && !isStale(req, res)) {
+    // Requests that can be aborted don't share, so that aborting one of them
+    // doesn't take the others down with it. Requests with hooks don't either,
+    // since each caller's hooks expect to see their own request through.
+    return abort.isAbortable(opts) || opts.hooks
+      ? abort.raceAbort(cacheFetch(req, opts), opts)
+      : coalesce(inflightKey(req, opts), () => {
+        return cacheFetch(req, opts).then(res => {
+          // Everyone sharing the response gets these too.
+          res.timings = opts.timings
           return res
-        }
+        })
+      })
+  }
 
-        if (opts.cache === 'default' || opts.cache === 'no-cache') {
-          return conditionalFetch(req, res, opts)
-        }
+  return abort.raceAbort(remoteFetch(uri, opts), opts)
+}
 
-        if (opts.cache === 'force-cache' || opts.cache === 'only-if-cached') {
-          //   112 Disconnected operation
-          // SHOULD be included if the cache is intentionally disconnected from
-          // the rest of the network for a period of time.
-          // (https://tools.ietf.org/html/rfc2616#section-14.46)
-          setWarning(res, 112, 'Disconnected operation')
-          return res
-        }
+function cacheFetch (req, opts) {
+  const lookupStart = Date.now()
+  return opts.cacheManager.match(req, opts).then(res => {
+    opts.timings.cacheLookup += Date.now() - lookupStart
+
+    if (res && fetch.isRedirect(res.status) && opts.redirect !== 'manual') {
+      // Cached redirects are only stored for `redirect: 'manual'`. Anyone
+      // else needs to go through the network so the redirect gets followed.
+      res = null
+    }
+
+    if (res) {
+      const warningCode = (res.headers.get('Warning') || '').match(/^\d+/)
+      if (warningCode && +warningCode >= 100 && +warningCode < 200) {
+        // https://tools.ietf.org/html/rfc7234#section-4.3.4
+        //
+        // If a stored response is selected for update, the cache MUST:
+        //
+        // * delete any Warning header fields in the stored response with
+        //   warn-code 1xx (see Section 5.5);
+        //
+        // * retain any Warning header fields in the stored response with
+        //   warn-code 2xx;
+        //
+        res.headers.delete('Warning')
+      }
+
+      if (
+        opts.cache === 'default' &&
+        offline.isOffline(req.url) &&
+        isStale(req, res) &&
+        canServeStaleOnError(req, res, opts)
+      ) {
+        // Going straight to the cache is the same as going to the network,
+        // failing, and falling back to it, so the same limits apply.
+        //
+        //   112 Disconnected operation
+        // SHOULD be included if the cache is intentionally disconnected from
+        // the rest of the network for a period of time.
+        // (https://tools.ietf.org/html/rfc2616#section-14.46)
+        setWarning(res, 112, 'Disconnected operation')
+        return cacheHit(req, res, opts, 'stale')
+      }
+
+      if (opts.cache === 'default' && !isStale(req, res)) {
+        return cacheHit(req, res, opts, 'hit')
+      }
+
+      if (opts.cache === 'default' && canServeStale(
+        req, res, 'stale-while-revalidate'
+      )) {
+        // https://tools.ietf.org/html/rfc5861#section-3
+        //
+        // When present in an HTTP response, the stale-while-revalidate
+        // Cache-Control extension indicates that caches MAY serve the
+        // response in which it appears after it becomes stale, up to the
+        // indicated number of seconds.
+        revalidateInBackground(req, res, opts)
+        //   110 Response is stale
+        // MUST be included whenever the returned response is stale.
+        // (https://tools.ietf.org/html/rfc2616#section-14.46)
+        setWarning(res, 110, 'Response is stale')
+        return cacheHit(req, res, opts, 'stale')
+      }
+
+      if (opts.cache === 'default' || opts.cache === 'no-cache') {
+        return conditionalFetch(req, res, opts)
+      }
+
+      if (opts.cache === 'force-cache' || opts.cache === 'only-if-cached') {
+        //   112 Disconnected operation
+        // SHOULD be included if the cache is intentionally disconnected from
+        // the rest of the network for a period of time.
+        // (https://tools.ietf.org/html/rfc2616#section-14.46)
+        setWarning(res, 112, 'Disconnected operation')
+        return cacheHit(req, res, opts, 'hit')
       }
+    }
 
-      if (!res && opts.cache === 'only-if-cached') {
+    opts.timings.cache = 'miss'
+    return hooks.run(opts, 'onCacheMiss', [req]).then(hooked => {
+      if (hooked instanceof fetch.Response) {
+        return hooked
+      }
+
+      if (opts.cache === 'only-if-cached') {
         const errorMsg = `request to ${
-          uri
+          req.url
         } failed: cache mode is 'only-if-cached' but no cached response available.`
 
         const err = new Error(errorMsg)
@@ -171,61 +463,205 @@ function cachingFetch (uri, _opts) {
       // Missing cache entry, or mode is default (if stale), reload, no-store
       return remoteFetch(req.url, opts)
     })
-  }
+  })
+}
 
-  return remoteFetch(uri, opts)
+// `outcome` is how the cache came up with `res`, for `res.timings.cache`.
+function cacheHit (req, res, opts, outcome) {
+  opts.timings.cache = outcome
+  return hooks.run(opts, 'onCacheHit', [res, req])
 }
 
-function iterableToObject (iter) {
-  const obj = {}
-  for (let k of iter.keys()) {
-    obj[k] = iter.get(k)
+// Concurrent identical requests only need a single trip to the cache and the
+// network. The key covers everything that could affect which response gets
+// picked: the cache key itself, the query string (which cacheKey() leaves
+// out), every request header, since we can't know ahead of time which of
+// them the response will `Vary` on, and the options in COALESCE_OPTS.
+function inflightKey (req, opts) {
+  initializeCacheModule()
+  const headers = []
+  req.headers.forEach((value, name) => {
+    headers.push(`${name}:${value}`)
+  })
+  return [
+    req.method,
+    cacheIdentity(opts.cacheManager),
+    Cache.cacheKey(req),
+    url.parse(req.url).search || '',
+    opts.cache,
+    opts.integrity ? String(opts.integrity) : '',
+    headers.sort().join('\n')
+  ].concat(COALESCE_OPTS.map(name => {
+    return `${name}=${optionIdentity(opts[name])}`
+  })).join('\n')
+}
+
+// Plain data is compared by value. Anything else (agents, functions, buffers)
+// only matches itself.
+function optionIdentity (value) {
+  if (value == null) {
+    return ''
+  }
+  if (typeof value !== 'object' && typeof value !== 'function') {
+    return JSON.stringify(value)
   }
-  return obj
+  if (Array.isArray(value) || Object.getPrototypeOf(value) === Object.prototype) {
+    try {
+      return JSON.stringify(value)
+    } catch (err) {
+      // Circular, so fall back to comparing it by identity.
+    }
+  }
+  return `id:${objectId(value)}`
 }
 
-function makePolicy (req, res) {
-  const _req = {
-    url: req.url,
-    method: req.method,
-    headers: iterableToObject(req.headers)
+function objectId (obj) {
+  if (!OBJECT_IDS.has(obj)) {
+    OBJECT_IDS.set(obj, nextObjectId++)
   }
-  const _res = {
-    status: res.status,
-    headers: iterableToObject(res.headers)
+  return OBJECT_IDS.get(obj)
+}
+
+// Requests going through different caches can't share a response, since it
+// needs to end up in each of them. Caches in the same directory are the same
+// cache, even if they're separate objects.
+function cacheIdentity (cacheManager) {
+  const storage = cacheManager._storage
+  if (storage instanceof CacacheStorage) {
+    return `path:${path.resolve(storage.location)}`
   }
+  return `id:${objectId(storage || cacheManager)}`
+}
 
-  return new CachePolicy(_req, _res, { shared: false })
+function coalesce (key, fetchRes) {
+  let waiting = INFLIGHT.get(key)
+  if (!waiting) {
+    waiting = []
+    INFLIGHT.set(key, waiting)
+    Promise.resolve().then(fetchRes).then(res => {
+      INFLIGHT.delete(key)
+      const copies = teeResponse(res, waiting.length)
+      waiting.forEach((p, i) => p.resolve(copies[i]))
+    }, err => {
+      INFLIGHT.delete(key)
+      waiting.forEach(p => p.reject(err))
+    })
+  }
+  return new Promise((resolve, reject) => {
+    waiting.push({ resolve, reject })
+  })
 }
 
-// https://tools.ietf.org/html/rfc7234#section-4.2
-function isStale (req, res) {
-  if (!res) {
-    return null
+// Splits a response into `count` independent responses, each with its own
+// headers and body stream.
+function teeResponse (res, count) {
+  if (count === 1) {
+    return [res]
   }
 
-  const _req = {
-    url: req.url,
-    method: req.method,
-    headers: iterableToObject(req.headers)
+  const bodies = []
+  for (let i = 0; i < count; i++) {
+    bodies.push(res.body && new Stream.PassThrough())
+  }
+  if (res.body) {
+    const src = res.body
+    // Reading only waits on the copies if none of them are keeping up, so
+    // one whose body never gets read can't hold up the rest, or the cache
+    // write. It just buffers everything it's sent instead.
+    const resume = () => {
+      bodies.forEach(body => body.removeListener('drain', resume))
+      src.resume()
+    }
+    src.on('data', chunk => {
+      const full = bodies.filter(body => !body.write(chunk))
+      if (full.length === bodies.length) {
+        src.pause()
+        bodies.forEach(body => body.once('drain', resume))
+      }
+    })
+    src.once('end', () => bodies.forEach(body => body.end()))
+    src.once('error', err => {
+      bodies.forEach(body => body.emit('error', err))
+    })
+  }
+
+  return bodies.map(body => {
+    const copy = new fetch.Response(body, {
+      url: res.url,
+      status: res.status,
+      statusText: res.statusText,
+      headers: new fetch.Headers(res.headers),
+      size: res.size,
+      timeout: res.timeout
+    })
+    copy.timings = res.timings
+    return copy
+  })
+}
+
+// Reads the value of a delta-seconds Cache-Control directive, such as the
+// `stale-while-revalidate=<seconds>` extension.
+function getCacheControlSeconds (res, directive) {
+  const cc = res.headers.get('cache-control') || ''
+  const match = cc.match(new RegExp(`(?:^|,)\\s*${directive}\\s*=\\s*"?(\\d+)"?`, 'i'))
+  return match ? parseInt(match[1], 10) : null
+}
+
+// https://tools.ietf.org/html/rfc5861
+function canServeStale (req, res, directive) {
+  const allowance = getCacheControlSeconds(res, directive)
+  if (allowance === null || mustRevalidate(res)) {
+    return false
   }
 
-  const policy = makePolicy(req, res)
+  const staleness = getStaleness(req, res)
+  return staleness > 0 && staleness <= allowance
+}
 
-  const responseTime = res.headers.get('x-local-cache-time') ||
-    res.headers.get('date') ||
-    0
+// https://tools.ietf.org/html/rfc5861#section-4
+//
+// Without a `stale-if-error` directive (or `opts.staleIfError`), stale
+// responses are served on error no matter how old they are.
+function canServeStaleOnError (req, res, opts) {
+  if (mustRevalidate(res)) {
+    return false
+  }
 
-  policy._responseTime = new Date(responseTime)
+  const allowance = opts.staleIfError != null
+    ? opts.staleIfError
+    : getCacheControlSeconds(res, 'stale-if-error')
 
-  const bool = !policy.satisfiesWithoutRevalidation(_req)
-  return bool
+  return allowance === null || getStaleness(req, res) <= allowance
 }
 
 function mustRevalidate (res) {
   return (res.headers.get('cache-control') || '').match(/must-revalidate/i)
 }
 
+function revalidateInBackground (req, cachedRes, opts) {
+  // The caller already has `cachedRes` and its body, so revalidation works
+  // off a body-less copy. 304s only update metadata, so nothing is lost.
+  const staleRes = new fetch.Response(null, {
+    url: cachedRes.url,
+    status: cachedRes.status,
+    headers: new fetch.Headers(cachedRes.headers)
+  })
+
+  // The caller's deadline is for their request, which is already done, and
+  // so is timing it.
+  conditionalFetch(req, staleRes, Object.assign({}, opts, {
+    deadline: null,
+    deadlineAt: null,
+    timings: timings.create()
+  }))
+    // Responses only get written to the cache once their bodies are consumed.
+    .then(res => res.buffer())
+    .catch(() => {
+      // The stale response has already been served. If revalidation fails,
+      // we'll just try again next time.
+    })
+}
+
 function conditionalFetch (req, cachedRes, opts) {
   const _req = {
     url: req.url,
@@ -243,14 +679,14 @@ function conditionalFetch (req, cachedRes, opts) {
         headers: iterableToObject(condRes.headers)
       })
 
-      if (condRes.status >= 500 && !mustRevalidate(cachedRes)) {
+      if (condRes.status >= 500 && canServeStaleOnError(req, cachedRes, opts)) {
         //   111 Revalidation failed
         // MUST be included if a cache returns a stale response because an
         // attempt to revalidate the response failed, due to an inability to
         // reach the server.
         // (https://tools.ietf.org/html/rfc2616#section-14.46)
         setWarning(cachedRes, 111, 'Revalidation failed')
-        return cachedRes
+        return cacheHit(req, cachedRes, opts, 'stale')
       }
 
       if (condRes.status === 304) { // 304 Not Modified
@@ -258,15 +694,23 @@ function conditionalFetch (req, cachedRes, opts) {
         return opts.cacheManager.put(req, condRes, opts)
           .then(newRes => {
             newRes.headers = new fetch.Headers(revalidatedPolicy.policy.responseHeaders())
-            return newRes
+            return cacheHit(req, newRes, opts, 'revalidated')
           })
       }
 
+      // Failed revalidations didn't get anything the cache could use.
+      opts.timings.cache = condRes.status < 400 ? 'updated' : 'miss'
       return condRes
     })
     .then(res => res)
     .catch(err => {
-      if (mustRevalidate(cachedRes)) {
+      // With `preferOnline`, any cached copy beats nothing at all when the
+      // server can't be reached.
+      const unreachable = offline.isUnreachable(err)
+      const canFallBack = (opts.preferOnline && unreachable) ||
+        canServeStaleOnError(req, cachedRes, opts)
+      // Aborted requests were given up on, not failed.
+      if (abort.isAbortError(err) || !canFallBack) {
         throw err
       } else {
         //   111 Revalidation failed
@@ -285,13 +729,17 @@ function conditionalFetch (req, cachedRes, opts) {
           199,
           `Miscellaneous Warning ${err.code}: ${err.message}`
         )
+        if (unreachable) {
+          setWarning(cachedRes, 112, 'Disconnected operation')
+        }
 
-        return cachedRes
+        return cacheHit(req, cachedRes, opts, 'stale')
       }
     })
 }
 
 function remoteFetchHandleIntegrity (res, integrity) {
+  const uri = res.url
   const oldBod = res.body
   const newBod = ssri.integrityStream({
     integrity
@@ -302,12 +750,129 @@ function remoteFetchHandleIntegrity (res, integrity) {
     newBod.emit('error', err)
   })
   newBod.once('error', err => {
+    if (err.code === 'EINTEGRITY') {
+      events.emit('integrity-failure', {
+        url: uri,
+        expected: err.expected,
+        found: err.found
+      })
+    }
     oldBod.emit('error', err)
   })
 }
 
+// Reads all of `res` and checks it against `opts.integrity` before anyone
+// gets to see it, so that a corrupted download fails like any other request
+// would, and can be retried, instead of erroring partway through being read.
+// Whatever was cached for the request is purged, since it's no good either.
+function bufferIntegrity (res, cacheReq, opts) {
+  return res.buffer().then(data => {
+    try {
+      ssri.checkData(data, opts.integrity, {error: true})
+    } catch (err) {
+      events.emit('integrity-failure', {
+        url: res.url,
+        expected: err.expected,
+        found: err.found
+      })
+      const purge = opts.cacheManager
+        ? opts.cacheManager.delete(cacheReq).catch(() => {})
+        : Promise.resolve()
+      return purge.then(() => { throw err })
+    }
+    const body = new Stream.PassThrough()
+    body.end(data)
+    const verified = new fetch.Response(body, {
+      url: res.url,
+      status: res.status,
+      statusText: res.statusText,
+      headers: res.headers,
+      size: res.size,
+      timeout: res.timeout
+    })
+    VERIFIED.add(verified)
+    return verified
+  })
+}
+
 function remoteFetch (uri, opts) {
+  if (opts.body instanceof Stream && opts.retry && opts.retry.maxBodyBuffer) {
+    return bufferBody(opts.body, opts.retry.maxBodyBuffer).then(body => {
+      return fetchWithMirrors(uri, Object.assign({}, opts, { body }))
+    })
+  }
+
+  return fetchWithMirrors(uri, opts)
+}
+
+// Tries `uri`, and then the same path on each of `opts.mirrors` in turn, for
+// as long as requests keep failing.
+function fetchWithMirrors (uri, opts) {
+  return (opts.mirrors || []).reduce((acc, mirror) => {
+    const next = () => {
+      const mirrored = mirrorUri(uri, mirror)
+      return attemptFetch(mirrored, mirrorOpts(uri, mirrored, opts), uri)
+    }
+    return acc.then(res => {
+      return canFailOver(res, opts) ? next() : res
+    }, err => {
+      if (!canFailOver(err, opts)) {
+        throw err
+      }
+      return next()
+    })
+  }, attemptFetch(uri, opts, uri))
+}
+
+function mirrorUri (uri, mirror) {
+  return `${mirror.replace(/\/+$/, '')}${url.parse(uri).path}`
+}
+
+// Credentials are only meant for the host they were given for. Like with
+// redirects, they're left out when a mirror is somewhere else.
+function mirrorOpts (uri, mirrored, opts) {
+  if (url.parse(uri).hostname === url.parse(mirrored).hostname) {
+    return opts
+  }
+  const headers = new fetch.Headers(opts.headers)
+  CREDENTIAL_HEADERS.forEach(name => headers.delete(name))
+  return Object.assign({}, opts, {headers: iterableToObject(headers)})
+}
+
+// Requests are only sent to another mirror if the last one couldn't be
+// reached, or couldn't handle it right now. Like with retries, that's only
+// safe if the request can be sent all over again.
+function canFailOver (errOrRes, opts) {
+  if (
+    (opts.body instanceof Stream) ||
+    (opts.method === 'POST' && !new fetch.Headers(opts.headers).has('idempotency-key'))
+  ) {
+    return false
+  }
+
+  if (errOrRes instanceof fetch.Response) {
+    return errOrRes.status === 429 || errOrRes.status >= 500
+  }
+
+  return errOrRes.name === 'FetchError' ||
+    errOrRes.code === 'ECIRCUITOPEN' ||
+    // Another mirror might have an intact copy.
+    errOrRes.code === 'EINTEGRITY'
+}
+
+// What node would use if we didn't pass an agent: with `agent: false`, every
+// request gets a fresh one.
+function defaultAgent (uri) {
+  return url.parse(uri).protocol === 'https:'
+    ? new https.Agent()
+    : new http.Agent()
+}
+
+// `canonicalUri` is the URI the request was originally made to, which is what
+// responses get cached under, even if they came from a mirror.
+function attemptFetch (uri, opts, canonicalUri) {
   const agent = getAgent(uri, opts)
+  const circuit = getCircuit(uri, opts)
   const headers = Object.assign({
     'connection': agent ? 'keep-alive' : 'close',
     'user-agent': USER_AGENT
@@ -326,19 +891,160 @@ function remoteFetch (uri, opts) {
     timeout: opts.timeout
   }
 
+  // When the last attempt got its response or error, to time retry waits.
+  let lastAttemptEnd = null
+  // The request `beforeRetry` hooks left us with, for the next attempt.
+  let retryReq = null
+
   return retry(
     (retryHandler, attemptNum) => {
-      const req = new fetch.Request(uri, reqOpts)
-      return fetch(req)
+      if (lastAttemptEnd !== null) {
+        opts.timings.retryWait += Date.now() - lastAttemptEnd
+      }
+      const abortErr = abort.getAbortError(opts)
+      if (abortErr) {
+        throw abortErr
+      }
+      // Fails fast, skipping any remaining retries.
+      const trial = !!circuit && circuit.check()
+      const abortable = abort.isAbortable(opts)
+      const timed = timeouts.hasTimeouts(opts)
+      let clientReq = null
+      let body = null
+      let conn = {time: 0}
+      // Erroring the body lets whoever's reading it know, and makes sure
+      // partial responses don't end up in the cache.
+      const fail = err => {
+        if (body) {
+          abort.errorStream(body, err)
+        } else if (clientReq) {
+          clientReq.emit('error', err)
+        }
+        if (clientReq) {
+          clientReq.abort()
+        }
+      }
+      if (abortable) {
+        const remaining = abort.timeRemaining(opts)
+        if (remaining !== null) {
+          // No single attempt gets to run past the deadline.
+          reqOpts.timeout = opts.timeout
+            ? Math.min(opts.timeout, remaining)
+            : remaining
+        }
+      }
+      reqOpts.agent = abort.trackRequests(
+        agent || defaultAgent(uri),
+        r => {
+          clientReq = r
+          conn = timings.watchRequest(r, opts.timings)
+          if (timed) {
+            timeouts.watchRequest(r, opts, fail)
+          }
+        }
+      )
+      if (typeof opts.body === 'function') {
+        // Body factories give us a fresh body for every attempt.
+        reqOpts.body = opts.body()
+      }
+      let req = !retryReq
+        ? new fetch.Request(uri, reqOpts)
+        : new fetch.Request(retryReq.url, Object.assign({}, reqOpts, {
+          method: retryReq.method,
+          headers: retryReq.headers
+        }))
+      const stopAbort = !abortable ? () => {} : abort.onAbort(opts, fail)
+      // Short-circuits with a response the hooks returned, or retries with
+      // the request they returned or changed.
+      const retryWith = errOrRes => hooked => {
+        if (hooked instanceof fetch.Response) {
+          return hooked
+        }
+        retryReq = hooked || retryReq
+        return retryHandler(errOrRes)
+      }
+      const send = req => {
+        events.emit('request', {
+          method: req.method,
+          url: req.url,
+          attempt: attemptNum
+        })
+        const sendStart = Date.now()
+        const sent = () => {
+          lastAttemptEnd = Date.now()
+          opts.timings.ttfb += lastAttemptEnd - sendStart - conn.time
+        }
+        const request = opts.replay ? har.replay(req, opts) : fetch(req)
+        return request.then(res => {
+          return opts.record ? har.record(req, res, opts, sendStart) : res
+        }).then(res => {
+          sent()
+          offline.success(req.url)
+          events.emit('response', {
+            method: req.method,
+            url: req.url,
+            attempt: attemptNum,
+            status: res.status
+          })
+          body = res.body
+          if (abortable) {
+            body.once('end', stopAbort)
+            body.once('error', stopAbort)
+          }
+          if (circuit && res.status >= 500) {
+            circuit.failure()
+          } else if (circuit) {
+            circuit.success()
+          }
+          return res
+        }, err => {
+          sent()
+          // Timeouts cut short to meet the deadline can go off before it
+          // does, but it's still the deadline that ran out.
+          err = abort.getAbortError(opts) || err
+          offline.failure(req.url, err)
+          stopAbort()
+          if (circuit && abort.isAbortError(err)) {
+            // The caller gave up, which says nothing about the origin.
+            circuit.cancel()
+          } else if (circuit) {
+            circuit.failure()
+          }
+          throw err
+        })
+      }
+      // A trial that never makes it to the network says nothing about the
+      // origin, so the next request gets to be the trial instead.
+      const skipTrial = () => trial && circuit.cancel()
+      return hooks.run(opts, 'beforeRequest', [req])
+        .then(hooked => {
+          if (hooked instanceof fetch.Response) {
+            stopAbort()
+            skipTrial()
+            return hooked
+          }
+          req = hooked
+          return send(req)
+        }, err => {
+          skipTrial()
+          throw err
+        })
+        .then(res => hooks.run(opts, 'afterResponse', [res, req]))
         .then(res => {
+          const buffered = opts.integrity && opts.bufferIntegrity &&
+            res.ok && req.method !== 'HEAD'
+          return buffered
+            ? bufferIntegrity(res, cacheRequest(req, canonicalUri), opts)
+            : res
+        })
+        .then(res => {
+          const cacheReq = cacheRequest(req, canonicalUri)
           res.headers.set('x-fetch-attempts', attemptNum)
 
-          if (opts.integrity) {
+          if (opts.integrity && !VERIFIED.has(res)) {
             remoteFetchHandleIntegrity(res, opts.integrity)
           }
 
-          const isStream = req.body instanceof Stream
-
           if (opts.cacheManager) {
             const isMethodGetHead = req.method === 'GET' ||
               req.method === 'HEAD'
@@ -346,20 +1052,23 @@ function remoteFetch (uri, opts) {
             const isCachable = opts.cache !== 'no-store' &&
               isMethodGetHead &&
               makePolicy(req, res).storable() &&
-              res.status === 200 // No other statuses should be stored!
+              CACHEABLE_STATUSES.indexOf(res.status) !== -1 &&
+              // Redirects we're about to follow never reach the caller.
+              !(fetch.isRedirect(res.status) && opts.redirect !== 'manual')
 
             if (isCachable) {
-              return opts.cacheManager.put(req, res, opts)
+              return opts.cacheManager.put(cacheReq, res, opts)
             }
 
             if (!isMethodGetHead) {
-              return opts.cacheManager.delete(req).then(() => {
-                if (res.status >= 500 && req.method !== 'POST' && !isStream) {
-                  if (typeof opts.onRetry === 'function') {
-                    opts.onRetry(res)
-                  }
-
-                  return retryHandler(res)
+              return opts.cacheManager.delete(cacheReq).then(() => {
+                if (
+                  res.status >= 400 &&
+                  shouldRetry(req, res, attemptNum, opts)
+                ) {
+                  return retryResponse(
+                    req, res, attemptNum, opts, retryWith(res)
+                  )
                 }
 
                 return res
@@ -367,20 +1076,8 @@ function remoteFetch (uri, opts) {
             }
           }
 
-          const isRetriable = req.method !== 'POST' &&
-            !isStream && (
-              res.status === 408 || // Request Timeout
-              res.status === 420 || // Enhance Your Calm (usually Twitter rate-limit)
-              res.status === 429 || // Too Many Requests ("standard" rate-limiting)
-              res.status >= 500 // Assume server errors are momentary hiccups
-            )
-
-          if (isRetriable) {
-            if (typeof opts.onRetry === 'function') {
-              opts.onRetry(res)
-            }
-
-            return retryHandler(res)
+          if (res.status >= 400 && shouldRetry(req, res, attemptNum, opts)) {
+            return retryResponse(req, res, attemptNum, opts, retryWith(res))
           }
 
           if (!fetch.isRedirect(res.status) || opts.redirect === 'manual') {
@@ -434,24 +1131,25 @@ function remoteFetch (uri, opts) {
             opts.headers[name] = value
           })
 
+          // Redirects can go anywhere, so mirrors don't apply anymore.
+          opts.mirrors = null
           opts.counter = ++req.counter
-          return cachingFetch(resolvedUrl, opts)
+          return followRedirect(resolvedUrl, res, opts)
         })
         .catch(err => {
-          const code = err.code === 'EPROMISERETRY' ? err.retried.code : err.code
-
-          const isRetryError = RETRY_ERRORS.indexOf(code) === -1 &&
-            RETRY_TYPES.indexOf(err.type) === -1
-
-          if (req.method === 'POST' || isRetryError) {
+          if (
+            err.code === 'EPROMISERETRY' ||
+            !shouldRetry(req, err, attemptNum, opts)
+          ) {
             throw err
           }
 
           if (typeof opts.onRetry === 'function') {
             opts.onRetry(err)
           }
+          emitRetry(req, err, attemptNum, opts)
 
-          return retryHandler(err)
+          return beforeRetry(req, err, attemptNum, opts).then(retryWith(err))
         })
     },
     opts.retry
@@ -464,6 +1162,182 @@ function remoteFetch (uri, opts) {
   })
 }
 
+// The request to cache a response under. That's `req` itself, unless it went
+// to a mirror, in which case it's a copy pointed back at `canonicalUri`.
+function cacheRequest (req, canonicalUri) {
+  return req.url === canonicalUri
+    ? req
+    : new fetch.Request(canonicalUri, {
+      method: req.method,
+      headers: req.headers
+    })
+}
+
+// Decides whether a failed attempt, either an error or a response, should be
+// retried.
+function shouldRetry (req, errOrRes, attemptNum, opts) {
+  const retryOpts = opts.retry || {}
+
+  // Streamed bodies are gone once they've been sent, unless we can make a new
+  // one.
+  if (req.body instanceof Stream && typeof opts.body !== 'function') {
+    return false
+  }
+
+  if (typeof retryOpts.shouldRetry === 'function') {
+    return !!retryOpts.shouldRetry(errOrRes, attemptNum)
+  }
+
+  // Retrying a POST could end up doing whatever it does twice, unless the
+  // server can tell it's the same request.
+  // https://tools.ietf.org/html/draft-ietf-httpapi-idempotency-key-header
+  if (req.method === 'POST' && !req.headers.has('idempotency-key')) {
+    return false
+  }
+
+  const isResponse = errOrRes instanceof fetch.Response
+
+  if (retryOpts.retryOn) {
+    return retryOpts.retryOn.some(cond => {
+      return typeof cond === 'number'
+        ? isResponse && errOrRes.status === cond
+        : !isResponse && (errOrRes.code === cond || errOrRes.type === cond)
+    })
+  }
+
+  if (isResponse) {
+    return errOrRes.status === 408 || // Request Timeout
+      errOrRes.status === 420 || // Enhance Your Calm (usually Twitter rate-limit)
+      errOrRes.status === 429 || // Too Many Requests ("standard" rate-limiting)
+      errOrRes.status >= 500 // Assume server errors are momentary hiccups
+  }
+
+  return RETRY_ERRORS.indexOf(errOrRes.code) !== -1 ||
+    RETRY_TYPES.indexOf(errOrRes.type) !== -1
+}
+
+// Retries a failed response, waiting for as long as the server asked us to
+// first, if it did.
+function retryResponse (req, res, attemptNum, opts, retryWith) {
+  const delay = hasRetriesLeft(attemptNum, opts) ? getRetryAfter(res) : null
+  const maxRetryAfter = opts.retry && opts.retry.maxRetryAfter
+  if (delay !== null && maxRetryAfter != null && delay > maxRetryAfter) {
+    // Retrying any sooner than we were told to would only get us
+    // rate-limited harder.
+    return res
+  }
+
+  if (typeof opts.onRetry === 'function') {
+    opts.onRetry(res)
+  }
+  emitRetry(req, res, attemptNum, opts)
+
+  const retry = () => beforeRetry(req, res, attemptNum, opts).then(retryWith)
+
+  if (!delay) {
+    return retry()
+  }
+
+  return new Promise(resolve => setTimeout(resolve, delay)).then(retry)
+}
+
+function emitRetry (req, errOrRes, attemptNum, opts) {
+  if (!hasRetriesLeft(attemptNum, opts)) {
+    return
+  }
+  const isRes = errOrRes instanceof fetch.Response
+  events.emit('retry', {
+    method: req.method,
+    url: req.url,
+    attempt: attemptNum,
+    error: isRes ? null : errOrRes,
+    status: isRes ? errOrRes.status : null
+  })
+}
+
+// Resolves to the response a `beforeRetry` hook would rather use than
+// retrying, or else the request to retry with, if there's a retry left.
+function beforeRetry (req, errOrRes, attemptNum, opts) {
+  if (!hasRetriesLeft(attemptNum, opts)) {
+    return Promise.resolve(null)
+  }
+  return hooks.run(opts, 'beforeRetry', [req, errOrRes, attemptNum])
+}
+
+// Gives `beforeRedirect` hooks a chance to change where a redirect goes, or
+// to stop it from being followed.
+function followRedirect (uri, res, opts) {
+  const req = new fetch.Request(uri, {
+    method: opts.method,
+    headers: opts.headers
+  })
+  return hooks.run(opts, 'beforeRedirect', [req, res]).then(hooked => {
+    if (hooked instanceof fetch.Response) {
+      return hooked
+    }
+    opts.method = hooked.method
+    opts.headers = iterableToObject(hooked.headers)
+    events.emit('redirect', {from: res.url, to: hooked.url, status: res.status})
+    return cachingFetch(hooked.url, opts)
+  })
+}
+
+// https://tools.ietf.org/html/rfc7231#section-7.1.3
+//
+// Returns the number of milliseconds to wait before retrying, or null if
+// `Retry-After` is missing or invalid.
+function getRetryAfter (res) {
+  const retryAfter = (res.headers.get('retry-after') || '').trim()
+  if (/^\d+$/.test(retryAfter)) {
+    return parseInt(retryAfter, 10) * 1000
+  }
+
+  const date = Date.parse(retryAfter)
+  return isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+function hasRetriesLeft (attemptNum, opts) {
+  const retryOpts = opts.retry || {}
+  // Same default as `retry`
+  const retries = retryOpts.retries == null ? 10 : retryOpts.retries
+  return !!retryOpts.forever || attemptNum <= retries
+}
+
+// Reads a request body stream into a Buffer, so it can be sent again if the
+// request needs to be retried. Streams bigger than `maxSize` resolve to a new
+// stream with the whole body instead.
+function bufferBody (body, maxSize) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    let size = 0
+    const cleanup = () => {
+      body.removeListener('data', onData)
+      body.removeListener('end', onEnd)
+      body.removeListener('error', reject)
+    }
+    const onData = chunk => {
+      chunk = typeof chunk === 'string' ? Buffer.from(chunk) : chunk
+      chunks.push(chunk)
+      size += chunk.length
+      if (size > maxSize) {
+        body.pause()
+        cleanup()
+        const rest = new Stream.PassThrough()
+        body.once('error', err => rest.emit('error', err))
+        chunks.forEach(c => rest.write(c))
+        resolve(body.pipe(rest))
+      }
+    }
+    const onEnd = () => {
+      cleanup()
+      resolve(Buffer.concat(chunks, size))
+    }
+    body.on('data', onData)
+    body.once('end', onEnd)
+    body.once('error', reject)
+  })
+}
+
 function isHeaderConditional (headers) {
   if (!headers || typeof headers !== 'object') {
     return false
@@ -0,0 +1,20 @@
+'use strict'
+
+const Cache = require('./cache')
+const MemoryStorage = require('./memory-storage')
+
+const DEFAULT_MAX_SIZE = 50 * 1024 * 1024 // 50MB
+
+// A Cache that only lives in process memory. It's always bounded, and gets
+// pruned after every write instead of once in a while, since there's nothing
+// but the heap to spill over into.
+module.exports = class MemoryCache extends Cache {
+  constructor (opts) {
+    opts = Object.assign({}, opts, { storage: new MemoryStorage() })
+    if (opts.maxSize == null) {
+      opts.maxSize = DEFAULT_MAX_SIZE
+    }
+    super(null, opts)
+    this._pruneInterval = 0
+  }
+}
@@ -0,0 +1,126 @@
+'use strict'
+
+const Buffer = require('safe-buffer').Buffer
+const from = require('mississippi').from
+const ssri = require('ssri')
+const to = require('mississippi').to
+
+// Storage adapter for `Cache` that keeps everything in memory. See
+// cacache-storage.js for what adapters need to implement.
+module.exports = class MemoryStorage {
+  constructor () {
+    this.location = 'memory'
+    this._entries = new Map()
+    this._content = new Map()
+  }
+
+  info (key) {
+    return Promise.resolve(this._entries.get(key) || null)
+  }
+
+  list () {
+    return Promise.resolve(Array.from(this._entries.values()))
+  }
+
+  hasContent (integrity) {
+    return Promise.resolve(this._content.has(integrity.toString()))
+  }
+
+  read (integrity) {
+    const data = this._content.get(integrity.toString())
+    return data
+      ? Promise.resolve(data)
+      : Promise.reject(notFound(integrity))
+  }
+
+  readStream (integrity) {
+    let data = this._content.get(integrity.toString())
+    return from((size, next) => {
+      if (!data) {
+        return next(data === null ? null : notFound(integrity), null)
+      }
+      const chunk = data
+      data = null
+      next(null, chunk)
+    })
+  }
+
+  write (key, data, opts) {
+    opts = opts || {}
+    const integrity = ssri.fromData(data, {
+      algorithms: opts.algorithms
+    }).toString()
+    if (opts.integrity && !ssri.checkData(data, opts.integrity)) {
+      const err = new Error(`Integrity check failed for ${key}`)
+      err.code = 'EINTEGRITY'
+      err.expected = opts.integrity
+      err.found = integrity
+      return Promise.reject(err)
+    }
+    this._content.set(integrity, data)
+    return this.link(
+      key, integrity, Object.assign({}, opts, {size: data.length})
+    ).then(() => integrity)
+  }
+
+  writeStream (key, opts) {
+    const chunks = []
+    let size = 0
+    const stream = to((chunk, enc, cb) => {
+      chunks.push(chunk)
+      size += chunk.length
+      cb()
+    }, cb => {
+      this.write(key, Buffer.concat(chunks, size), opts).then(integrity => {
+        stream.emit('integrity', integrity)
+        cb()
+      }, cb)
+    })
+    return stream
+  }
+
+  link (key, integrity, opts) {
+    opts = opts || {}
+    const prev = this._entries.get(key)
+    this._entries.set(key, {
+      key,
+      integrity: integrity.toString(),
+      time: opts.time != null ? opts.time : Date.now(),
+      size: opts.size,
+      metadata: opts.metadata && JSON.parse(JSON.stringify(opts.metadata))
+    })
+    if (prev) {
+      this._collect(prev.integrity)
+    }
+    return Promise.resolve()
+  }
+
+  'delete' (key) {
+    const entry = this._entries.get(key)
+    this._entries.delete(key)
+    if (entry) {
+      this._collect(entry.integrity)
+    }
+    return Promise.resolve()
+  }
+
+  removeContent (integrity) {
+    this._content.delete(integrity.toString())
+    return Promise.resolve()
+  }
+
+  // Nothing else can get to content once no entries point to it, so there's
+  // no point in keeping it around.
+  _collect (integrity) {
+    for (let entry of this._entries.values()) {
+      if (entry.integrity === integrity) { return }
+    }
+    this._content.delete(integrity)
+  }
+}
+
+function notFound (integrity) {
+  const err = new Error(`No cache entry for ${integrity} found`)
+  err.code = 'ENOENT'
+  return err
+}
@@ -0,0 +1,66 @@
+'use strict'
+
+const url = require('url')
+
+// Requests that keep failing to even look up their host usually mean we're
+// offline, or at least can't get to that host. Once that happens, there's no
+// point making every request to it wait on the network before falling back
+// to the cache, so they go straight to the cache for a while instead. Hosts
+// are tracked separately, so one bad host doesn't take the rest offline.
+
+module.exports.failure = failure
+module.exports.isOffline = isOffline
+module.exports.isUnreachable = isUnreachable
+module.exports.success = success
+
+// Consecutive DNS failures before deciding we're offline
+const OFFLINE_THRESHOLD = 3
+// How long to stay offline before trying the network again, in ms
+const OFFLINE_COOLDOWN = 30 * 1000
+
+const DNS_ERRORS = [
+  'ENOTFOUND', // getaddrinfo couldn't find the host
+  'EAI_AGAIN' // DNS lookup timed out
+]
+
+const UNREACHABLE_ERRORS = DNS_ERRORS.concat([
+  'ECONNREFUSED', // nobody listening
+  'EHOSTUNREACH', // no route to the host
+  'ENETUNREACH', // no route to the network
+  'ENETDOWN', // no network at all
+  'ECONNECTTIMEOUT' // opts.connectTimeout ran out
+])
+
+// hostname -> {failures, offlineUntil}
+const HOSTS = new Map()
+
+// Whether `err` means the host couldn't be reached at all.
+function isUnreachable (err) {
+  return !!err && UNREACHABLE_ERRORS.indexOf(err.code) !== -1
+}
+
+function isOffline (uri) {
+  const host = HOSTS.get(hostname(uri))
+  return !!host && Date.now() < host.offlineUntil
+}
+
+function failure (uri, err) {
+  if (!err || DNS_ERRORS.indexOf(err.code) === -1) {
+    return
+  }
+  const name = hostname(uri)
+  const host = HOSTS.get(name) || {failures: 0, offlineUntil: 0}
+  if (++host.failures >= OFFLINE_THRESHOLD) {
+    host.offlineUntil = Date.now() + OFFLINE_COOLDOWN
+  }
+  HOSTS.set(name, host)
+}
+
+// Any response at all means the host is back.
+function success (uri) {
+  HOSTS.delete(hostname(uri))
+}
+
+function hostname (uri) {
+  return url.parse(uri).hostname
+}
@@ -0,0 +1,69 @@
+'use strict'
+
+const CachePolicy = require('http-cache-semantics')
+
+module.exports.iterableToObject = iterableToObject
+module.exports.makePolicy = makePolicy
+module.exports.makeCachedPolicy = makeCachedPolicy
+module.exports.isStale = isStale
+module.exports.getStaleness = getStaleness
+
+function iterableToObject (iter) {
+  const obj = {}
+  for (let k of iter.keys()) {
+    obj[k] = iter.get(k)
+  }
+  return obj
+}
+
+function makePolicy (req, res) {
+  const _req = {
+    url: req.url,
+    method: req.method,
+    headers: iterableToObject(req.headers)
+  }
+  const _res = {
+    status: res.status,
+    headers: iterableToObject(res.headers)
+  }
+
+  return new CachePolicy(_req, _res, { shared: false })
+}
+
+// Like makePolicy, but ages the policy from the time the response was
+// actually stored, rather than from right now.
+function makeCachedPolicy (req, res) {
+  const policy = makePolicy(req, res)
+
+  const responseTime = res.headers.get('x-local-cache-time') ||
+    res.headers.get('date') ||
+    0
+
+  policy._responseTime = new Date(responseTime)
+  return policy
+}
+
+// https://tools.ietf.org/html/rfc7234#section-4.2
+function isStale (req, res) {
+  if (!res) {
+    return null
+  }
+
+  const _req = {
+    url: req.url,
+    method: req.method,
+    headers: iterableToObject(req.headers)
+  }
+
+  const policy = makeCachedPolicy(req, res)
+
+  const bool = !policy.satisfiesWithoutRevalidation(_req)
+  return bool
+}
+
+// Returns the number of seconds a cached response has been stale for. Fresh
+// responses will return a negative number.
+function getStaleness (req, res) {
+  const policy = makeCachedPolicy(req, res)
+  return policy.age() - policy.maxAge()
+}
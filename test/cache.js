@@ -3,12 +3,19 @@
 const BB = require('bluebird')
 const Buffer = require('safe-buffer').Buffer
 
+const cacache = require('cacache')
 const finished = BB.promisify(require('mississippi').finished)
+const fs = require('fs')
+const path = require('path')
+const PassThrough = require('stream').PassThrough
 const ssri = require('ssri')
 const test = require('tap').test
 const tnock = require('./util/tnock')
 
 const fetch = require('..')
+const Cache = require('../cache')
+const MemoryCache = require('../memory-cache')
+const MemoryStorage = require('../memory-storage')
 
 const CACHE = require('./util/test-dir')(__filename)
 const CONTENT = Buffer.from('hello, world!')
@@ -80,6 +87,19 @@ test('supports defaulted fetch cache', t => {
   })
 })
 
+test('defaulted fetch.delete() uses the defaults', t => {
+  tnock(t, HOST).get('/test').twice().reply(200, CONTENT, HEADERS)
+  const defaultFetch = fetch.defaults(`${HOST}/test`, {
+    cacheManager: CACHE
+  }).defaults({retry: false})
+  return defaultFetch().then(res => res.buffer()).then(() => {
+    return defaultFetch.delete()
+  }).then(() => defaultFetch()).then(res => {
+    t.notOk(res.headers.get('x-local-cache'), 'entry deleted from cache')
+    return res.buffer()
+  })
+})
+
 test('nothing cached if body stream never used', t => {
   const srv = tnock(t, HOST)
   srv.get('/test').reply(200, CONTENT, HEADERS)
@@ -216,6 +236,96 @@ test('only `200 OK` responses cached', t => {
   })
 })
 
+test('heuristically cacheable statuses cached', t => {
+  const srv = tnock(t, HOST)
+  srv.get('/missing').reply(404, 'not found', {
+    'cache-control': HEADERS['cache-control']
+  })
+  srv.get('/empty').reply(204, '', {
+    'cache-control': HEADERS['cache-control']
+  })
+  return fetch(`${HOST}/missing`, {
+    cacheManager: CACHE,
+    retry: {retries: 0}
+  }).then(res => {
+    t.equal(res.status, 404, 'got remote 404')
+    return res.buffer()
+  }).then(body => {
+    t.deepEqual(body, Buffer.from('not found'), 'got remote content')
+    return fetch(`${HOST}/missing`, {
+      cacheManager: CACHE,
+      retry: {retries: 0}
+    })
+  }).then(res => {
+    t.equal(res.status, 404, 'cached res keeps its original status')
+    t.equal(res.statusText, 'Not Found', 'cached res keeps its statusText')
+    t.ok(res.headers.get('x-local-cache'), 'response came from cache')
+    return res.buffer()
+  }).then(body => {
+    t.deepEqual(body, Buffer.from('not found'), 'got cached content')
+    return fetch(`${HOST}/missing`, {
+      method: 'HEAD',
+      cacheManager: CACHE,
+      retry: {retries: 0}
+    })
+  }).then(res => {
+    t.equal(res.status, 404, 'cached HEAD res keeps its original status')
+    return fetch(`${HOST}/empty`, {
+      cacheManager: CACHE,
+      retry: {retries: 0}
+    })
+  }).then(res => res.buffer()).then(() => {
+    return fetch(`${HOST}/empty`, {
+      cacheManager: CACHE,
+      retry: {retries: 0}
+    })
+  }).then(res => {
+    t.equal(res.status, 204, 'empty response cached')
+    t.ok(res.headers.get('x-local-cache'), 'response came from cache')
+    return res.buffer()
+  }).then(body => {
+    t.equal(body.length, 0, 'got empty body')
+  })
+})
+
+test('redirects only cached in manual redirect mode', t => {
+  const srv = tnock(t, HOST)
+  srv.get('/redirect').reply(301, '', {
+    'Location': `${HOST}/test`,
+    'cache-control': HEADERS['cache-control']
+  })
+  srv.get('/test').reply(200, CONTENT)
+  return fetch(`${HOST}/redirect`, {
+    cacheManager: CACHE,
+    redirect: 'manual',
+    retry: {retries: 0}
+  }).then(res => {
+    t.equal(res.status, 301, 'got redirect')
+    return res.buffer()
+  }).then(() => {
+    return fetch(`${HOST}/redirect`, {
+      cacheManager: CACHE,
+      redirect: 'manual',
+      retry: {retries: 0}
+    })
+  }).then(res => {
+    t.equal(res.status, 301, 'got cached redirect')
+    t.ok(res.headers.get('x-local-cache'), 'response came from cache')
+    srv.get('/redirect').reply(301, '', {
+      'Location': `${HOST}/test`
+    })
+    return fetch(`${HOST}/redirect`, {
+      cacheManager: CACHE,
+      retry: {retries: 0}
+    })
+  }).then(res => {
+    t.equal(res.status, 200, 'redirect followed over the network')
+    return res.buffer()
+  }).then(body => {
+    t.deepEqual(body, CONTENT, 'got redirect target content')
+  })
+})
+
 test('status code is 304 on revalidated cache hit', t => {
   const srv = tnock(t, HOST)
   srv.get('/test').reply(200, CONTENT, {
@@ -244,6 +354,50 @@ test('status code is 304 on revalidated cache hit', t => {
   })
 })
 
+test('reports how the cache was used in timings', t => {
+  const srv = tnock(t, HOST)
+  const STALE = {
+    'Cache-Control': 'max-age = 0',
+    'ETag': 'thisisanetag',
+    'Date': new Date(new Date() - 100000).toUTCString()
+  }
+  const opts = {cacheManager: CACHE, retry: false}
+  const get = () => fetch(`${HOST}/test`, opts).then(res => {
+    return res.buffer().then(() => res.timings)
+  })
+  srv.get('/test').reply(200, CONTENT, HEADERS)
+  return get().then(timings => {
+    t.equal(timings.cache, 'miss', 'cache miss')
+    t.ok(timings.cacheLookup >= 0, 'cache lookup timed')
+    return get()
+  }).then(timings => {
+    t.equal(timings.cache, 'hit', 'cache hit')
+    t.equal(timings.ttfb, 0, 'nothing fetched')
+    return cacache.rm.all(CACHE)
+  }).then(() => {
+    srv.get('/test').reply(200, CONTENT, STALE)
+    return get()
+  }).then(() => {
+    srv.get('/test').reply(304, '', {etag: 'W/thisisanetag'})
+    return get()
+  }).then(timings => {
+    t.equal(timings.cache, 'revalidated', 'revalidated stale response')
+    srv.get('/test').reply(200, 'new content', STALE)
+    return get()
+  }).then(timings => {
+    t.equal(timings.cache, 'updated', 'replaced stale response')
+    srv.get('/test').reply(500)
+    return get()
+  }).then(timings => {
+    t.equal(timings.cache, 'stale', 'fell back to stale response')
+    srv.get('/test').reply(500)
+    return fetch(`${HOST}/test`, Object.assign({staleIfError: 0}, opts))
+  }).then(res => {
+    t.equal(res.status, 500, 'stale response not allowed on error')
+    t.equal(res.timings.cache, 'miss', 'failed revalidation did not update')
+  })
+})
+
 test('status code is 200 on stale cache + cond request w/ new data', t => {
   const srv = tnock(t, HOST)
   srv.get('/test').reply(200, CONTENT, {
@@ -345,6 +499,518 @@ test('falls back to stale cache on request failure (adds Warning, too)', t => {
   })
 })
 
+test('serves stale response while revalidating in the background', t => {
+  const srv = tnock(t, HOST)
+  srv.get('/test').reply(200, CONTENT, {
+    'Cache-Control': 'max-age=1, stale-while-revalidate=300',
+    'ETag': 'thisisanetag',
+    'Date': new Date(new Date() - 100000).toUTCString()
+  })
+  return fetch(`${HOST}/test`, {
+    cacheManager: CACHE,
+    retry: {retries: 0}
+  }).then(res => {
+    return res.buffer()
+  }).then(body => {
+    t.deepEqual(body, CONTENT, 'got remote content')
+    srv.get('/test').reply(200, 'newcontent', {
+      'Cache-Control': 'max-age=300',
+      'ETag': 'newetag',
+      'Date': new Date().toUTCString()
+    })
+    return fetch(`${HOST}/test`, {
+      cacheManager: CACHE,
+      retry: {retries: 0}
+    })
+  }).then(res => {
+    t.equal(res.status, 200, 'stale response served as-is')
+    t.match(res.headers.get('Warning'), /^110 local\.registry\.npm/, '110 warning added')
+    return res.buffer()
+  }).then(body => {
+    t.deepEqual(body, CONTENT, 'got stale cached content')
+    return waitFor(() => srv.isDone())
+  }).then(() => BB.delay(50)).then(() => {
+    return fetch(`${HOST}/test`, {
+      cacheManager: CACHE,
+      retry: {retries: 0}
+    })
+  }).then(res => {
+    t.equal(res.headers.get('Warning'), null, 'fresh response has no warning')
+    return res.buffer()
+  }).then(body => {
+    t.deepEqual(body, Buffer.from('newcontent'), 'cache updated in background')
+  })
+})
+
+test('blocks on revalidation once past stale-while-revalidate', t => {
+  const srv = tnock(t, HOST)
+  srv.get('/test').reply(200, CONTENT, {
+    'Cache-Control': 'max-age=1, stale-while-revalidate=10',
+    'ETag': 'thisisanetag',
+    'Date': new Date(new Date() - 100000).toUTCString()
+  })
+  return fetch(`${HOST}/test`, {
+    cacheManager: CACHE,
+    retry: {retries: 0}
+  }).then(res => {
+    return res.buffer()
+  }).then(body => {
+    t.deepEqual(body, CONTENT, 'got remote content')
+    srv.get('/test').reply(304, function () {
+      t.equal(this.req.headers['if-none-match'][0], 'thisisanetag', 'got etag')
+    })
+    return fetch(`${HOST}/test`, {
+      cacheManager: CACHE,
+      retry: {retries: 0}
+    })
+  }).then(res => {
+    t.equal(res.status, 304, 'revalidated before returning')
+    t.equal(res.headers.get('Warning'), null, 'no stale warning')
+    return res.buffer()
+  }).then(body => {
+    t.deepEqual(body, CONTENT, 'got cached content')
+  })
+})
+
+test('stale-if-error bounds stale fallback on request failure', t => {
+  const srv = tnock(t, HOST)
+  srv.get('/test').reply(200, CONTENT, {
+    'Cache-Control': 'max-age=1, stale-if-error=10',
+    'ETag': 'thisisanetag',
+    'Date': new Date(new Date() - 100000).toUTCString()
+  })
+  return fetch(`${HOST}/test`, {
+    cacheManager: CACHE,
+    retry: {retries: 0}
+  }).then(res => {
+    return res.buffer()
+  }).then(body => {
+    t.deepEqual(body, CONTENT, 'got remote content')
+    srv.get('/test').reply(500)
+    return fetch(`${HOST}/test`, {
+      cacheManager: CACHE,
+      retry: {retries: 0}
+    })
+  }).then(res => {
+    t.equal(res.status, 500, 'too stale to serve on error')
+    srv.get('/test').replyWithError({
+      message: 'connection reset',
+      code: 'ECONNRESET'
+    })
+    return fetch(`${HOST}/test`, {
+      cacheManager: CACHE,
+      retry: {retries: 0}
+    }).then(() => {
+      throw new Error('unexpected fetch success')
+    }).catch(err => {
+      t.equal(err.code, 'ECONNRESET', 'original error thrown')
+    })
+  }).then(() => {
+    srv.get('/test').reply(500)
+    return fetch(`${HOST}/test`, {
+      cacheManager: CACHE,
+      staleIfError: 1000,
+      retry: {retries: 0}
+    })
+  }).then(res => {
+    t.equal(res.status, 200, 'opts.staleIfError overrides directive')
+    t.match(res.headers.get('Warning'), /111 local\.registry\.npm/, 'added warning')
+    return res.buffer()
+  }).then(body => {
+    t.deepEqual(body, CONTENT, 'got cached content')
+  })
+})
+
+test('falls back to stale cache when the circuit breaker is open', t => {
+  const host = 'https://circuit.local.registry.npm'
+  const srv = tnock(t, host)
+  const opts = {
+    cacheManager: CACHE,
+    circuitBreaker: {threshold: 1},
+    retry: {retries: 0}
+  }
+  srv.get('/test').reply(200, CONTENT, {'cache-control': 'max-age=0'})
+  srv.get('/other').reply(500)
+  return fetch(`${host}/test`, opts).then(res => res.buffer()).then(() => {
+    return fetch(`${host}/other`, opts)
+  }).then(res => {
+    t.equal(res.status, 500, 'circuit opened')
+    return fetch(`${host}/test`, opts)
+  }).then(res => {
+    t.equal(res.status, 200, 'got stale cached response')
+    t.match(res.headers.get('warning'), /111/, 'warning added')
+    t.match(res.headers.get('warning'), /ECIRCUITOPEN/, 'reason included')
+    return fetch(`${host}/other`, opts).catch(err => err)
+  }).then(err => {
+    t.equal(err.code, 'ECIRCUITOPEN', 'error without anything cached')
+  })
+})
+
+test('caches responses from mirrors under the original URL', t => {
+  const mirror = 'https://mirror.local.registry.npm'
+  const srv = tnock(t, HOST)
+  const mirrorSrv = tnock(t, mirror)
+  const opts = {
+    cacheManager: CACHE,
+    mirrors: [mirror],
+    retry: false
+  }
+  srv.get('/test').reply(500)
+  mirrorSrv.get('/test').reply(200, CONTENT, HEADERS)
+  return fetch(`${HOST}/test`, opts).then(res => res.buffer()).then(() => {
+    return fetch(`${HOST}/test`, opts)
+  }).then(res => {
+    t.equal(
+      decodeURIComponent(res.headers.get('x-local-cache-key')),
+      Cache.cacheKey({url: `${HOST}/test`}),
+      'cached under original URL'
+    )
+    return res.buffer()
+  }).then(body => {
+    t.deepEqual(body, CONTENT, 'got cached content')
+  })
+})
+
+test('aborting a request leaves nothing in the cache', t => {
+  const srv = tnock(t, HOST)
+  const listeners = []
+  const signal = {
+    aborted: false,
+    addEventListener (type, fn) { listeners.push(fn) },
+    removeEventListener () {},
+    abort () {
+      this.aborted = true
+      listeners.forEach(fn => fn())
+    }
+  }
+  const body = new PassThrough()
+  body.write(CONTENT)
+  srv.get('/test').reply(200, () => body, HEADERS)
+  return fetch(`${HOST}/test`, {
+    cacheManager: CACHE,
+    memoize: false,
+    signal
+  }).then(res => {
+    res.body.once('data', () => signal.abort())
+    return res.buffer()
+  }).then(
+    () => { throw new Error('should not succeed') },
+    err => {
+      t.equal(err.code, 'EABORT', 'body aborted')
+      return waitFor(() => cacache.ls(CACHE).then(index => {
+        return !Object.keys(index).length
+      }))
+    }
+  ).then(() => {
+    return cacache.get.hasContent(CACHE, INTEGRITY)
+  }).then(hasContent => {
+    t.notOk(hasContent, 'partial content removed')
+  })
+})
+
+test('aborting a request keeps what was already cached', t => {
+  const srv = tnock(t, HOST)
+  const listeners = []
+  const signal = {
+    aborted: false,
+    addEventListener (type, fn) { listeners.push(fn) },
+    removeEventListener () {},
+    abort () {
+      this.aborted = true
+      listeners.forEach(fn => fn())
+    }
+  }
+  const opts = {cacheManager: CACHE, memoize: false, retry: false}
+  const body = new PassThrough()
+  body.write('partial')
+  srv.get('/test').reply(200, CONTENT, HEADERS)
+  srv.get('/test').reply(200, () => body, HEADERS)
+  return fetch(`${HOST}/test`, opts).then(res => res.buffer()).then(() => {
+    return fetch(`${HOST}/test`, Object.assign({}, opts, {
+      cache: 'reload',
+      signal
+    }))
+  }).then(res => {
+    res.body.once('data', () => signal.abort())
+    return res.buffer()
+  }).then(
+    () => { throw new Error('should not succeed') },
+    err => t.equal(err.code, 'EABORT', 'body aborted')
+  ).then(() => BB.delay(50)).then(() => {
+    return fetch(`${HOST}/test`, Object.assign({}, opts, {
+      cache: 'only-if-cached'
+    }))
+  }).then(res => res.buffer()).then(buf => {
+    t.deepEqual(buf, CONTENT, 'earlier entry still served')
+  })
+})
+
+test('streamed responses are stored without extra copies', t => {
+  const srv = tnock(t, HOST)
+  const body = new PassThrough()
+  body.end(CONTENT)
+  // No Content-Length, so it can't be buffered in memory.
+  srv.get('/test').reply(200, () => body, HEADERS)
+  const files = dir => fs.readdirSync(dir).reduce((acc, name) => {
+    const file = path.join(dir, name)
+    return acc.concat(fs.statSync(file).isDirectory() ? files(file) : file)
+  }, [])
+  return fetch(`${HOST}/test`, {
+    cacheManager: CACHE,
+    memoize: false
+  }).then(res => res.buffer()).then(() => {
+    return waitFor(() => cacache.ls(CACHE).then(index => {
+      return Object.keys(index).length
+    }))
+  }).then(() => {
+    t.equal(files(path.join(CACHE, 'index-v5')).length, 1, 'one index bucket')
+    t.equal(files(path.join(CACHE, 'content-v2')).length, 1, 'one content file')
+    return fetch(`${HOST}/test`, {
+      cacheManager: CACHE,
+      cache: 'only-if-cached'
+    })
+  }).then(res => res.buffer()).then(buf => {
+    t.deepEqual(buf, CONTENT, 'streamed content served from the cache')
+  })
+})
+
+test('calls cache hooks', t => {
+  const srv = tnock(t, HOST)
+  const calls = []
+  const opts = {
+    cacheManager: CACHE,
+    retry: false,
+    hooks: {
+      onCacheMiss: req => { calls.push(['miss', req.url]) },
+      onCacheHit: (res, req) => { calls.push(['hit', req.url, res.status]) }
+    }
+  }
+  srv.get('/test').reply(200, CONTENT, HEADERS)
+  return fetch(`${HOST}/test`, opts).then(res => res.buffer()).then(() => {
+    return fetch(`${HOST}/test`, opts)
+  }).then(res => res.buffer()).then(() => {
+    t.deepEqual(calls, [
+      ['miss', `${HOST}/test`],
+      ['hit', `${HOST}/test`, 200]
+    ], 'hooks called for miss, then hit')
+    const replacement = new fetch.Response('from a hook')
+    return fetch(`${HOST}/other`, Object.assign({}, opts, {
+      hooks: {onCacheMiss: () => replacement}
+    }))
+  }).then(res => res.text()).then(text => {
+    t.equal(text, 'from a hook', 'onCacheMiss short-circuited the request')
+    return fetch(`${HOST}/test`, Object.assign({}, opts, {
+      hooks: {
+        onCacheHit: res => new fetch.Response('replaced', {status: 203})
+      }
+    }))
+  }).then(res => {
+    t.equal(res.status, 203, 'onCacheHit replaced the cached response')
+  })
+})
+
+test('publishes cache events', t => {
+  const srv = tnock(t, HOST)
+  const seen = []
+  const names = ['cache-hit', 'cache-miss', 'cache-store', 'cache-delete']
+  const listeners = names.map(name => {
+    const listener = e => seen.push(name)
+    fetch.events.on(name, listener)
+    return listener
+  })
+  t.tearDown(() => names.forEach((name, i) => {
+    fetch.events.removeListener(name, listeners[i])
+  }))
+  const opts = {cacheManager: CACHE, retry: false}
+  srv.get('/test').reply(200, CONTENT, HEADERS)
+  return fetch(`${HOST}/test`, opts).then(res => res.buffer()).then(() => {
+    return fetch(`${HOST}/test`, opts)
+  }).then(res => res.buffer()).then(() => {
+    return fetch.delete(`${HOST}/test`, opts)
+  }).then(() => {
+    t.deepEqual(seen, [
+      'cache-miss', 'cache-store', 'cache-hit', 'cache-delete'
+    ], 'cache events published in order')
+  })
+})
+
+test('supports offline, preferOffline and preferOnline', t => {
+  const srv = tnock(t, HOST)
+  const STALE = {
+    'Cache-Control': 'max-age=0, must-revalidate',
+    'Date': new Date(new Date() - 100000).toUTCString()
+  }
+  const opts = mode => Object.assign({cacheManager: CACHE, retry: false}, mode)
+  srv.get('/test').reply(200, CONTENT, STALE)
+  return fetch(`${HOST}/test`, opts()).then(res => res.buffer()).then(() => {
+    return fetch(`${HOST}/test`, opts({offline: true}))
+  }).then(res => {
+    t.equal(res.status, 200, 'offline served stale cached copy')
+    t.match(res.headers.get('warning'), /^112/, 'added 112 warning')
+    return res.buffer()
+  }).then(body => {
+    t.deepEqual(body, CONTENT, 'got cached content')
+    return fetch(`${HOST}/missing`, opts({offline: true})).then(() => {
+      throw new Error('should not succeed')
+    }, err => {
+      t.equal(err.code, 'ENOTCACHED', 'offline never hits the network')
+      return fetch(`${HOST}/test`, opts({offline: true, method: 'POST'}))
+    }).then(() => {
+      throw new Error('should not succeed')
+    }, err => {
+      t.equal(err.code, 'ENOTCACHED', 'uncacheable requests fail offline')
+    })
+  }).then(() => {
+    return fetch(`${HOST}/test`, opts({preferOffline: true}))
+  }).then(res => {
+    t.equal(res.status, 200, 'preferOffline used stale copy without network')
+    return res.buffer()
+  }).then(() => {
+    srv.get('/test').replyWithError({message: 'no dns', code: 'ENOTFOUND'})
+    return fetch(`${HOST}/test`, opts({preferOnline: true}))
+  }).then(res => {
+    t.equal(res.status, 200, 'preferOnline fell back to must-revalidate copy')
+    t.match(res.headers.get('warning'), /112/, 'added 112 warning')
+    return res.buffer()
+  }).then(() => {
+    srv.get('/test').reply(200, 'new content', STALE)
+    return fetch(`${HOST}/test`, opts({preferOnline: true}))
+  }).then(res => res.text()).then(text => {
+    t.equal(text, 'new content', 'preferOnline prefers the network')
+  })
+})
+
+test('detects when offline after repeated DNS failures', t => {
+  const srv = tnock(t, HOST)
+  const opts = {cacheManager: CACHE, retry: false}
+  srv.get('/test').reply(200, CONTENT, {
+    'Cache-Control': 'max-age=0',
+    'Date': new Date(new Date() - 100000).toUTCString()
+  })
+  srv.get('/down').times(3).replyWithError({
+    message: 'no dns',
+    code: 'ENOTFOUND'
+  })
+  const down = () => fetch(`${HOST}/down`, opts).then(() => {
+    throw new Error('should not succeed')
+  }, err => t.equal(err.code, 'ENOTFOUND', 'DNS failure'))
+  return fetch(`${HOST}/test`, opts).then(res => res.buffer())
+    .then(down).then(down).then(down).then(() => {
+      // No interceptors left for this, so it can't go to the network.
+      return fetch(`${HOST}/test`, opts)
+    }).then(res => {
+      t.equal(res.status, 200, 'served stale copy while offline')
+      t.match(res.headers.get('warning'), /^112/, 'added 112 warning')
+      return res.buffer()
+    }).then(() => {
+      srv.get('/other').reply(200, 'hi')
+      return fetch(`${HOST}/other`, opts)
+    }).then(res => res.buffer()).then(() => {
+      srv.get('/test').reply(200, 'back online')
+      return fetch(`${HOST}/test`, opts)
+    }).then(res => res.text()).then(text => {
+      t.equal(text, 'back online', 'back to the network after a success')
+    })
+})
+
+test('only serves what stale-if-error allows while offline', t => {
+  const DOWN = 'https://down.registry.npm'
+  const srv = tnock(t, HOST)
+  const down = tnock(t, DOWN)
+  const opts = {cacheManager: CACHE, retry: false}
+  const stale = cc => ({
+    'Cache-Control': `max-age=0, ${cc}`,
+    'Date': new Date(new Date() - 100000).toUTCString()
+  })
+  down.get('/recent').reply(200, CONTENT, stale('stale-if-error=1000'))
+  down.get('/ancient').reply(200, CONTENT, stale('stale-if-error=10'))
+  down.get('/revalidate').reply(200, CONTENT, stale('must-revalidate'))
+  srv.get('/test').reply(200, CONTENT, stale('stale-if-error=1000'))
+  const notFound = {message: 'no dns', code: 'ENOTFOUND'}
+  down.get('/down').times(3).replyWithError(notFound)
+  const urls = [
+    `${DOWN}/recent`, `${DOWN}/ancient`, `${DOWN}/revalidate`, `${HOST}/test`
+  ]
+  return BB.mapSeries(urls, url => {
+    return fetch(url, opts).then(res => res.buffer())
+  }).then(() => BB.mapSeries([1, 2, 3], () => {
+    return fetch(`${DOWN}/down`, opts).catch(err => {
+      t.equal(err.code, 'ENOTFOUND', 'DNS failure')
+    })
+  })).then(() => {
+    // No interceptor for this, so it can't go to the network.
+    return fetch(`${DOWN}/recent`, opts)
+  }).then(res => {
+    t.match(res.headers.get('warning'), /^112/, 'served stale copy offline')
+    return res.buffer()
+  }).then(() => BB.mapSeries(['/ancient', '/revalidate'], path => {
+    down.get(path).replyWithError(notFound)
+    return fetch(`${DOWN}${path}`, opts).then(() => {
+      throw new Error('should not succeed')
+    }, err => {
+      t.equal(err.code, 'ENOTFOUND', `${path} went to the network`)
+    })
+  })).then(() => {
+    srv.get('/test').reply(200, 'online')
+    return fetch(`${HOST}/test`, opts)
+  }).then(res => res.text()).then(text => {
+    t.equal(text, 'online', 'other hosts are still online')
+  })
+})
+
+test('prefetches urls into the cache', t => {
+  const srv = tnock(t, HOST)
+  srv.get('/a').reply(200, CONTENT, HEADERS)
+  srv.get('/b').reply(200, 'bbb', HEADERS)
+  srv.get('/bad-integrity').reply(200, 'not what you wanted', HEADERS)
+  srv.get('/missing').reply(404, '', HEADERS)
+  srv.get('/no-store').reply(200, 'x', {'cache-control': 'no-store'})
+  return fetch.prefetch([
+    {url: `${HOST}/a`, integrity: INTEGRITY},
+    `${HOST}/b`,
+    {url: `${HOST}/bad-integrity`, integrity: INTEGRITY},
+    `${HOST}/missing`,
+    `${HOST}/no-store`
+  ], {cacheManager: CACHE, retry: false, concurrency: 2}).then(report => {
+    t.deepEqual(report.succeeded.map(s => s.url).sort(), [
+      `${HOST}/a`, `${HOST}/b`
+    ], 'reported successes')
+    t.equal(report.bytes, CONTENT.length + 3, 'reported bytes stored')
+    const failures = {}
+    report.failed.forEach(f => { failures[f.url] = f.error.code })
+    t.deepEqual(failures, {
+      [`${HOST}/bad-integrity`]: 'EINTEGRITY',
+      [`${HOST}/missing`]: 'E404',
+      [`${HOST}/no-store`]: 'ENOTCACHED'
+    }, 'reported failures')
+    return fetch(`${HOST}/a`, {
+      cacheManager: CACHE,
+      cache: 'only-if-cached'
+    })
+  }).then(res => res.buffer()).then(body => {
+    t.deepEqual(body, CONTENT, 'prefetched response is in the cache')
+    return fetch(`${HOST}/bad-integrity`, {
+      cacheManager: CACHE,
+      cache: 'only-if-cached'
+    }).then(() => {
+      throw new Error('should not succeed')
+    }, err => {
+      t.equal(err.code, 'ENOTCACHED', 'bad integrity was not cached')
+    })
+  }).then(() => {
+    srv.get('/a').reply(304, '', HEADERS)
+    return fetch.defaults({cacheManager: CACHE}).prefetch([`${HOST}/a`])
+  }).then(report => {
+    t.equal(report.succeeded.length, 1, 'revalidated cached copy')
+    t.equal(report.bytes, 0, 'nothing new stored')
+    return fetch.prefetch([`${HOST}/a`]).then(() => {
+      throw new Error('should not succeed')
+    }, err => {
+      t.equal(err.code, 'ENOCACHE', 'needs a cacheManager')
+    })
+  })
+})
+
 test('does not return stale cache on failure if `must-revalidate`', t => {
   const srv = tnock(t, HOST)
   srv.get('/test').reply(200, CONTENT, {
@@ -895,6 +1561,592 @@ test('supports matching using Vary header', t => {
   })
 })
 
+test('stores multiple variants of a response using Vary', t => {
+  const srv = tnock(t, HOST)
+  const CORGI = 'application/vnd.npm.install-v1+json'
+  const FULLFAT = 'application/json'
+  function reply (accept, body) {
+    srv.get('/test').matchHeader('accept', accept).reply(200, body, {
+      'Vary': 'Accept',
+      'Cache-Control': 'immutable',
+      'Content-Type': accept
+    })
+  }
+  function get (accept) {
+    return fetch(`${HOST}/test`, {
+      cacheManager: CACHE,
+      retry: {retries: 0},
+      headers: {accept}
+    }).then(res => res.buffer().then(body => {
+      return { cached: !!res.headers.get('x-local-cache'), body: body.toString() }
+    }))
+  }
+  reply(CORGI, 'corgi')
+  reply(FULLFAT, 'fullfat')
+  return get(CORGI).then(res => {
+    t.deepEqual(res, {cached: false, body: 'corgi'}, 'corgi from network')
+    return get(FULLFAT)
+  }).then(res => {
+    t.deepEqual(res, {cached: false, body: 'fullfat'}, 'fullfat from network')
+    return get(CORGI)
+  }).then(res => {
+    t.deepEqual(res, {cached: true, body: 'corgi'}, 'corgi variant cached')
+    return get(FULLFAT)
+  }).then(res => {
+    t.deepEqual(res, {cached: true, body: 'fullfat'}, 'fullfat variant cached')
+    srv.post('/test').reply(201)
+    return fetch(`${HOST}/test`, {
+      method: 'POST',
+      cacheManager: CACHE,
+      retry: {retries: 0}
+    })
+  }).then(res => {
+    t.equal(res.status, 201, 'invalidating request went through')
+    reply(CORGI, 'corgi2')
+    return get(CORGI)
+  }).then(res => {
+    t.deepEqual(res, {cached: false, body: 'corgi2'}, 'corgi invalidated')
+    reply(FULLFAT, 'fullfat2')
+    return get(FULLFAT)
+  }).then(res => {
+    t.deepEqual(res, {cached: false, body: 'fullfat2'}, 'fullfat invalidated')
+    return get(CORGI)
+  }).then(res => {
+    t.deepEqual(res, {cached: true, body: 'corgi2'}, 'new corgi variant cached')
+  })
+})
+
+test('revalidates the matching variant', t => {
+  const srv = tnock(t, HOST)
+  srv.get('/test').matchHeader('accept', 'corgi').reply(200, 'corgi', {
+    'Vary': 'Accept',
+    'Cache-Control': 'max-age=0',
+    'ETag': 'corgi-etag'
+  })
+  srv.get('/test').matchHeader('accept', 'fullfat').reply(200, 'fullfat', {
+    'Vary': 'Accept',
+    'Cache-Control': 'immutable',
+    'ETag': 'fullfat-etag'
+  })
+  const opts = accept => ({
+    cacheManager: CACHE,
+    retry: {retries: 0},
+    headers: {accept}
+  })
+  return fetch(`${HOST}/test`, opts('corgi')).then(res => res.buffer()).then(() => {
+    return fetch(`${HOST}/test`, opts('fullfat')).then(res => res.buffer())
+  }).then(() => {
+    srv.get('/test').reply(304, function () {
+      t.equal(this.req.headers['if-none-match'][0], 'corgi-etag', 'variant etag sent')
+      return ''
+    }, {
+      'Cache-Control': 'max-age=300'
+    })
+    return fetch(`${HOST}/test`, opts('corgi'))
+  }).then(res => {
+    t.equal(res.status, 304, 'variant revalidated')
+    return res.buffer()
+  }).then(body => {
+    t.deepEqual(body, Buffer.from('corgi'), 'got the right variant')
+    return fetch(`${HOST}/test`, opts('corgi'))
+  }).then(res => {
+    t.equal(res.status, 200, 'variant fresh after revalidation')
+    t.equal(res.headers.get('vary'), 'Accept', 'stored headers kept on update')
+    return res.buffer()
+  }).then(body => {
+    t.deepEqual(body, Buffer.from('corgi'), 'got cached variant')
+    return fetch(`${HOST}/test`, opts('fullfat'))
+  }).then(res => res.buffer()).then(body => {
+    t.deepEqual(body, Buffer.from('fullfat'), 'other variant still cached')
+  })
+})
+
+test('prunes least recently validated entries past cache limits', t => {
+  const srv = tnock(t, HOST)
+  const paths = ['/a', '/b', '/c']
+  paths.forEach(p => srv.get(p).reply(200, CONTENT, HEADERS))
+  return paths.reduce((acc, p) => acc.then(() => {
+    return fetch(`${HOST}${p}`, {
+      cacheManager: CACHE,
+      retry: {retries: 0}
+    }).then(res => res.buffer()).then(() => BB.delay(5))
+  }), BB.resolve()).then(() => {
+    return new Cache(CACHE, {maxEntries: 2}).prune()
+  }).then(stats => {
+    t.deepEqual(stats, {
+      removed: 1,
+      entries: 2,
+      size: 2 * CONTENT.length
+    }, 'oldest entry evicted')
+    return cacache.ls(CACHE)
+  }).then(entries => {
+    t.deepEqual(Object.keys(entries).map(k => entries[k].metadata.url).sort(), [
+      `${HOST}/b`,
+      `${HOST}/c`
+    ], 'newest entries kept')
+    return cacache.get.hasContent(CACHE, INTEGRITY)
+  }).then(exists => {
+    t.ok(exists, 'content still used by other entries kept')
+    return new Cache(CACHE, {maxSize: CONTENT.length}).prune()
+  }).then(stats => {
+    t.equal(stats.entries, 1, 'evicted down to size limit')
+    return BB.delay(10).then(() => {
+      return new Cache(CACHE, {maxAge: 5}).prune()
+    })
+  }).then(stats => {
+    t.deepEqual(stats, {removed: 1, entries: 0, size: 0}, 'expired entry removed')
+    return cacache.get.hasContent(CACHE, INTEGRITY)
+  }).then(exists => {
+    t.notOk(exists, 'orphaned content removed')
+  })
+})
+
+test('prunes automatically when limits are configured', t => {
+  const cachePath = path.join(CACHE, 'limited')
+  const srv = tnock(t, HOST)
+  srv.get('/a').reply(200, 'a', HEADERS)
+  srv.get('/b').reply(200, 'b', HEADERS)
+  return fetch(`${HOST}/a`, {
+    cacheManager: cachePath,
+    retry: {retries: 0}
+  }).then(res => res.buffer()).then(() => BB.delay(5)).then(() => {
+    return fetch(`${HOST}/b`, {
+      cacheManager: {path: cachePath, maxEntries: 1},
+      retry: {retries: 0}
+    })
+  }).then(res => res.buffer()).then(() => {
+    return waitFor(() => {
+      return cacache.ls(cachePath).then(entries => {
+        return Object.keys(entries).length === 1
+      })
+    })
+  }).then(() => cacache.ls(cachePath)).then(entries => {
+    t.deepEqual(Object.keys(entries).map(k => entries[k].metadata.url), [
+      `${HOST}/b`
+    ], 'older entry evicted after write')
+  })
+})
+
+function waitFor (condition) {
+  return BB.resolve(condition()).then(done => {
+    return done || BB.delay(10).then(() => waitFor(condition))
+  })
+}
+
+test('lists and inspects cached entries', t => {
+  const srv = tnock(t, HOST)
+  srv.get('/fresh').reply(200, CONTENT, HEADERS)
+  srv.get('/stale').reply(200, CONTENT, {
+    'cache-control': 'max-age=0'
+  })
+  srv.get('/vary').reply(200, 'json', {
+    'cache-control': 'max-age=300',
+    'vary': 'accept'
+  })
+  srv.get('/vary').reply(200, 'xml', {
+    'cache-control': 'max-age=300',
+    'vary': 'accept'
+  })
+  const get = (p, accept) => fetch(`${HOST}${p}`, {
+    cacheManager: CACHE,
+    headers: accept ? {accept} : {},
+    retry: {retries: 0}
+  }).then(res => res.buffer())
+  const cache = new Cache(CACHE)
+  return get('/fresh')
+    .then(() => get('/stale'))
+    .then(() => get('/vary', 'application/json'))
+    .then(() => get('/vary', 'application/xml'))
+    .then(() => cache.keys())
+    .then(reqs => {
+      t.deepEqual(reqs.map(req => {
+        return `${req.url} ${req.headers.get('accept') || ''}`.trim()
+      }).sort(), [
+        `${HOST}/fresh`,
+        `${HOST}/stale`,
+        `${HOST}/vary application/json`,
+        `${HOST}/vary application/xml`
+      ], 'one key per URL or variant')
+      return new BB((resolve, reject) => {
+        const entries = {}
+        const stream = cache.entries()
+        stream.on('data', entry => {
+          entries[`${entry.url} ${entry.size}`] = entry
+        })
+        stream.on('error', reject)
+        stream.on('end', () => resolve(entries))
+      })
+    })
+    .then(entries => {
+      t.equal(Object.keys(entries).length, 4, 'streamed every entry')
+      const fresh = entries[`${HOST}/fresh ${CONTENT.length}`]
+      t.equal(fresh.status, 200, 'status included')
+      t.equal(fresh.integrity, INTEGRITY, 'integrity included')
+      t.equal(fresh.headers.get('cache-control'), 'max-age=300', 'headers')
+      t.equal(
+        decodeURIComponent(fresh.headers.get('x-local-cache-key')),
+        fresh.key,
+        'cache headers added'
+      )
+      t.ok(fresh.time, 'storage time included')
+      t.notOk(fresh.stale, 'fresh entry is not stale')
+      t.ok(entries[`${HOST}/stale ${CONTENT.length}`].stale, 'stale entry')
+      t.equal(
+        entries[`${HOST}/vary 3`].reqHeaders.get('accept'),
+        'application/xml',
+        'request headers included for variants'
+      )
+      return cache.stat()
+    })
+    .then(stats => {
+      t.deepEqual(stats, {
+        entries: 4,
+        fresh: 3,
+        stale: 1,
+        size: CONTENT.length + 'json'.length + 'xml'.length
+      }, 'totals content that is shared between entries once')
+    })
+})
+
+test('cache.entries() works with for await', {
+  skip: !Symbol.asyncIterator && 'no async iteration on this Node'
+}, t => {
+  const collect = require('./util/collect')
+  const srv = tnock(t, HOST)
+  srv.get('/a').reply(200, CONTENT, HEADERS)
+  srv.get('/b').reply(200, 'bbb', HEADERS)
+  const get = uri => fetch(uri, {cacheManager: CACHE}).then(res => {
+    return res.buffer()
+  })
+  return get(`${HOST}/a`).then(() => get(`${HOST}/b`)).then(() => {
+    return collect(new Cache(CACHE).entries())
+  }).then(entries => {
+    t.deepEqual(
+      entries.map(entry => `${entry.url} ${entry.size}`).sort(),
+      [`${HOST}/a ${CONTENT.length}`, `${HOST}/b 3`],
+      'iterated over every entry'
+    )
+  })
+})
+
+test('exports and imports cache archives', t => {
+  const srv = tnock(t, HOST)
+  const IMPORTED = path.join(CACHE, 'imported')
+  const STALE = {
+    'cache-control': 'max-age=300',
+    'date': new Date(Date.now() - 600000).toUTCString()
+  }
+  srv.get('/test').reply(200, CONTENT, HEADERS)
+  srv.get('/same').reply(200, CONTENT, HEADERS)
+  srv.get('/stale').reply(200, 'stale', STALE)
+  srv.get('/empty').reply(204, '', HEADERS)
+  const archived = new PassThrough()
+  const chunks = []
+  archived.on('data', chunk => chunks.push(chunk))
+  const get = (uri, opts) => {
+    return fetch(uri, Object.assign({cacheManager: CACHE}, opts))
+      .then(res => res.buffer())
+  }
+  return BB.each(['/test', '/same', '/stale', '/empty'], p => {
+    return get(`${HOST}${p}`)
+  }).then(() => {
+    return new Cache(CACHE).export(archived)
+  }).then(report => {
+    t.deepEqual(report, {
+      entries: 4,
+      size: CONTENT.length + 'stale'.length
+    }, 'reported what was exported')
+    const archive = Buffer.concat(chunks)
+    const input = new PassThrough()
+    // Dribbled in to make sure headers split across chunks still work.
+    for (let i = 0; i < archive.length; i += 7) {
+      input.write(archive.slice(i, i + 7))
+    }
+    input.end()
+    return Cache.import(IMPORTED, input)
+  }).then(report => {
+    t.deepEqual(report, {
+      entries: 4,
+      size: CONTENT.length + 'stale'.length
+    }, 'reported what was imported')
+    return get(`${HOST}/same`, {cacheManager: IMPORTED, cache: 'only-if-cached'})
+  }).then(body => {
+    t.deepEqual(body, CONTENT, 'imported entries sharing content')
+    return get(`${HOST}/empty`, {cacheManager: IMPORTED, cache: 'only-if-cached'})
+  }).then(body => {
+    t.equal(body.length, 0, 'imported empty response')
+    return new Cache(IMPORTED).stat()
+  }).then(stat => {
+    t.equal(stat.entries, 4, 'everything was imported')
+    t.equal(stat.stale, 1, 'imported entries kept their stored time')
+    return fetch(`${HOST}/stale`, {cacheManager: IMPORTED, cache: 'only-if-cached'})
+  }).then(res => {
+    t.match(
+      res.headers.get('x-local-cache-time'),
+      new Date(Date.now() - 600000).toUTCString().slice(0, 16),
+      'cached time survived the trip'
+    )
+    return res.buffer()
+  }).then(() => {
+    const archive = Buffer.concat(chunks).toString('utf8')
+      .replace('hello, world!', 'hello, WORLD!')
+    const input = new PassThrough()
+    input.end(archive)
+    return Cache.import(path.join(CACHE, 'corrupt'), input).then(() => {
+      throw new Error('should not succeed')
+    }, err => {
+      t.equal(err.code, 'EINTEGRITY', 'content gets verified on import')
+    })
+  }).then(() => {
+    const input = new PassThrough()
+    input.end('not an archive\n')
+    return Cache.import(path.join(CACHE, 'bad'), input).then(() => {
+      throw new Error('should not succeed')
+    }, err => {
+      t.equal(err.code, 'EBADARCHIVE', 'rejects things that are not archives')
+    })
+  })
+})
+
+test('supports in-memory cache storage', t => {
+  const storage = new MemoryStorage()
+  const srv = tnock(t, HOST)
+  srv.get('/test').reply(200, CONTENT, HEADERS)
+  srv.get('/empty').reply(204, '', HEADERS)
+  const opts = {
+    cacheManager: {storage},
+    retry: {retries: 0}
+  }
+  return fetch(`${HOST}/test`, opts).then(res => res.buffer()).then(() => {
+    return fetch(`${HOST}/test`, opts)
+  }).then(res => {
+    t.equal(res.headers.get('x-local-cache'), 'memory', 'served from memory')
+    t.equal(
+      res.headers.get('x-local-cache-hash'),
+      encodeURIComponent(INTEGRITY),
+      'content hash in header'
+    )
+    return res.buffer()
+  }).then(body => {
+    t.deepEqual(body, CONTENT, 'got cached content')
+    return fetch(`${HOST}/empty`, opts).then(res => res.buffer())
+  }).then(() => fetch(`${HOST}/empty`, opts)).then(res => {
+    t.equal(res.status, 204, 'empty response cached')
+    return fetch.delete(`${HOST}/test`, opts)
+  }).then(() => storage.list()).then(entries => {
+    t.deepEqual(entries.map(entry => entry.metadata.url), [
+      `${HOST}/empty`
+    ], 'entry deleted')
+    return storage.hasContent(INTEGRITY)
+  }).then(exists => {
+    t.notOk(exists, 'content no longer used is dropped')
+  })
+})
+
+test('works with storage that only implements required methods', t => {
+  const memory = new MemoryStorage()
+  const storage = {
+    location: 'minimal',
+    info: key => memory.info(key),
+    list: () => memory.list(),
+    readStream: integrity => memory.readStream(integrity),
+    writeStream: (key, opts) => memory.writeStream(key, opts),
+    delete: key => memory.delete(key)
+  }
+  const srv = tnock(t, HOST)
+  srv.get('/test').reply(200, CONTENT, HEADERS)
+  srv.get('/empty').reply(204, '', HEADERS)
+  const opts = {
+    cacheManager: {storage},
+    retry: {retries: 0}
+  }
+  return fetch(`${HOST}/test`, opts).then(res => res.buffer()).then(() => {
+    return fetch(`${HOST}/test`, opts)
+  }).then(res => {
+    t.equal(res.headers.get('x-local-cache'), 'minimal', 'served from storage')
+    return res.buffer()
+  }).then(body => {
+    t.deepEqual(body, CONTENT, 'got cached content')
+    return fetch(`${HOST}/empty`, opts).then(res => res.buffer())
+  }).then(() => fetch(`${HOST}/empty`, opts)).then(res => {
+    t.equal(res.headers.get('x-local-cache'), 'minimal', 'empty body cached')
+    return new Cache(null, {storage, maxEntries: 1}).prune()
+  }).then(stats => {
+    t.equal(stats.entries, 1, 'pruned without removeContent()')
+  })
+})
+
+test('supports in-memory caches', t => {
+  const srv = tnock(t, HOST)
+  srv.get('/a').reply(200, CONTENT, HEADERS)
+  srv.get('/b').reply(200, CONTENT, HEADERS)
+  const opts = {
+    cacheManager: {memory: true, maxSize: CONTENT.length},
+    retry: {retries: 0}
+  }
+  const cached = uri => fetch(uri, Object.assign({}, opts, {
+    cache: 'only-if-cached'
+  })).then(res => res.buffer()).then(() => true, err => {
+    if (err.code !== 'ENOTCACHED') { throw err }
+    return false
+  })
+  return fetch(`${HOST}/a`, opts).then(res => res.buffer()).then(() => {
+    return fetch(`${HOST}/a`, Object.assign({}, opts, {method: 'HEAD'}))
+  }).then(res => {
+    t.equal(res.status, 200, 'HEAD served from cache')
+    t.equal(res.headers.get('x-local-cache'), 'memory', 'cache headers added')
+    return fetch(`${HOST}/a`, opts)
+  }).then(res => res.buffer()).then(body => {
+    t.deepEqual(body, CONTENT, 'same cache used for the same config')
+    return fetch(`${HOST}/b`, opts).then(res => res.buffer())
+  }).then(() => {
+    return waitFor(() => cached(`${HOST}/a`).then(hit => !hit))
+  }).then(() => cached(`${HOST}/b`)).then(hit => {
+    t.ok(hit, 'older entry evicted to stay within maxSize')
+  })
+})
+
+test('exports an in-memory Cache', t => {
+  const cache = new MemoryCache({maxEntries: 1})
+  const srv = tnock(t, HOST)
+  srv.get('/a').reply(200, CONTENT, HEADERS)
+  srv.get('/b').reply(200, CONTENT, HEADERS)
+  const opts = {cacheManager: cache, retry: {retries: 0}}
+  return fetch(`${HOST}/a`, opts).then(res => res.buffer()).then(() => {
+    return BB.delay(5)
+  }).then(() => {
+    return fetch(`${HOST}/b`, opts).then(res => res.buffer())
+  }).then(() => {
+    return waitFor(() => cache.stat().then(stats => stats.entries === 1))
+  }).then(() => cache.keys()).then(reqs => {
+    t.deepEqual(reqs.map(req => req.url), [`${HOST}/b`], 'bounded')
+  })
+})
+
+test('coalesces concurrent identical requests', t => {
+  tnock(t, HOST).get('/test').delay(50).reply(200, CONTENT, HEADERS)
+  const requests = []
+  for (let i = 0; i < 5; i++) {
+    requests.push(fetch(`${HOST}/test`, {
+      cacheManager: CACHE,
+      retry: {retries: 0}
+    }))
+  }
+  return BB.all(requests).then(responses => {
+    responses.forEach(res => {
+      t.equal(res.status, 200, 'got 200 status')
+    })
+    responses[0].headers.set('foo', 'bar')
+    t.equal(responses[1].headers.get('foo'), null, 'headers not shared')
+    return BB.all(responses.map(res => res.buffer()))
+  }).then(bodies => {
+    bodies.forEach(body => {
+      t.deepEqual(body, CONTENT, 'each caller got the full body')
+    })
+    return fetch(`${HOST}/test`, {
+      cacheManager: CACHE,
+      retry: {retries: 0}
+    })
+  }).then(res => {
+    t.ok(res.headers.get('x-local-cache'), 'shared response was cached')
+    return res.buffer()
+  }).then(body => {
+    t.deepEqual(body, CONTENT, 'got cached content')
+  })
+})
+
+test('does not coalesce requests with different headers', t => {
+  const srv = tnock(t, HOST)
+  srv.get('/test').matchHeader('accept', 'corgi').delay(20).reply(200, 'corgi')
+  srv.get('/test').matchHeader('accept', 'fullfat').delay(20).reply(200, 'fullfat')
+  return BB.all([
+    fetch(`${HOST}/test`, {
+      cacheManager: CACHE,
+      headers: {accept: 'corgi'}
+    }).then(res => res.buffer()),
+    fetch(`${HOST}/test`, {
+      cacheManager: CACHE,
+      headers: {accept: 'fullfat'}
+    }).then(res => res.buffer())
+  ]).then(bodies => {
+    t.deepEqual(bodies, [
+      Buffer.from('corgi'),
+      Buffer.from('fullfat')
+    ], 'each request got its own response')
+  })
+})
+
+test('does not coalesce requests going through different caches', t => {
+  const srv = tnock(t, HOST)
+  const CACHE1 = path.join(CACHE, 'c1')
+  const CACHE2 = path.join(CACHE, 'c2')
+  srv.get('/test').times(2).delay(20).reply(200, CONTENT, HEADERS)
+  return BB.all([CACHE1, CACHE2].map(cacheManager => {
+    return fetch(`${HOST}/test`, {cacheManager}).then(res => res.buffer())
+  })).then(() => {
+    // One at a time, so these don't get coalesced either.
+    return BB.mapSeries([CACHE1, CACHE2], cacheManager => {
+      return fetch(`${HOST}/test`, {cacheManager, cache: 'only-if-cached'})
+        .then(res => res.buffer())
+    })
+  }).then(bodies => {
+    t.deepEqual(bodies, [CONTENT, CONTENT], 'both caches got the response')
+  })
+})
+
+test('coalesced callers that ignore their body do not stall the rest', t => {
+  const CHUNK = Buffer.alloc(64 * 1024, 'x')
+  const BIG = Buffer.alloc(32 * CHUNK.length, 'x')
+  tnock(t, HOST).get('/big').delay(20).reply(200, () => {
+    // Lots of small chunks, like a real download.
+    const body = new PassThrough()
+    let sent = 0
+    const send = () => {
+      while (sent < 32) {
+        sent++
+        if (!body.write(CHUNK)) { return body.once('drain', send) }
+      }
+      body.end()
+    }
+    send()
+    return body
+  }, HEADERS)
+  const get = () => fetch(`${HOST}/big`, {cacheManager: CACHE, retry: false})
+  return BB.all([get(), get()]).then(responses => {
+    // Nobody ever reads responses[1].
+    return BB.resolve(responses[0].buffer()).timeout(5000)
+  }).then(body => {
+    t.equal(body.length, BIG.length, 'reader got the whole body')
+    return waitFor(() => {
+      return fetch(`${HOST}/big`, {cacheManager: CACHE, cache: 'only-if-cached'})
+        .then(res => res.buffer(), () => null)
+        .then(cached => cached && cached.length === BIG.length)
+    })
+  }).then(() => t.ok(true, 'response was cached'))
+})
+
+test('does not coalesce requests with different options', t => {
+  const srv = tnock(t, HOST)
+  const STALE = {
+    'cache-control': 'max-age=0, stale-if-error=300',
+    'date': new Date(Date.now() - 10000).toUTCString()
+  }
+  srv.get('/test').reply(200, CONTENT, STALE)
+  return fetch(`${HOST}/test`, {cacheManager: CACHE}).then(res => {
+    return res.buffer()
+  }).then(() => {
+    srv.get('/test').delay(20).times(2).reply(500)
+    return BB.all([{}, {staleIfError: 0}].map(opts => {
+      return fetch(`${HOST}/test`, Object.assign({
+        cacheManager: CACHE,
+        retry: false
+      }, opts)).then(res => res.status)
+    }))
+  }).then(statuses => {
+    t.deepEqual(statuses, [200, 500], 'each got what its options allowed')
+  })
+})
+
 test('supports range caching (partial requests)')
 test('Support Cache object injection')
 
@@ -4,11 +4,14 @@ const BB = require('bluebird')
 const Buffer = require('safe-buffer').Buffer
 
 const finished = BB.promisify(require('mississippi').finished)
+const fs = require('fs')
+const path = require('path')
 const test = require('tap').test
 const through = require('mississippi').through
 const tnock = require('./util/tnock')
 const nock = require('nock')
 
+const DIR = require('./util/test-dir')(__filename)
 const CONTENT = Buffer.from('hello, world!', 'utf8')
 const HOST = 'https://make-fetch-happen.npm'
 const HTTPHOST = 'http://registry.npm.test.org'
@@ -417,6 +420,714 @@ test('retries non-POST requests on 500 errors', t => {
   })
 })
 
+test('waits for Retry-After before retrying', t => {
+  const srv = tnock(t, HOST)
+  let start = Date.now()
+  srv.get('/test').reply(429, '', {'retry-after': '1'})
+  srv.get('/test').reply(200, CONTENT)
+  return fetch(`${HOST}/test`, {
+    retry: {retries: 1, minTimeout: 1}
+  }).then(res => {
+    t.equal(res.status, 200, 'retried after delay')
+    t.ok(Date.now() - start >= 1000, 'waited delta-seconds')
+    start = Date.now()
+    srv.get('/test').reply(503, '', {
+      'retry-after': new Date(Date.now() + 2000).toUTCString()
+    })
+    srv.get('/test').reply(200, CONTENT)
+    return fetch(`${HOST}/test`, {
+      retry: {retries: 1, minTimeout: 1}
+    })
+  }).then(res => {
+    t.equal(res.status, 200, 'retried after delay')
+    t.ok(Date.now() - start >= 1000, 'waited until HTTP-date')
+    start = Date.now()
+    srv.get('/test').reply(429, '', {'retry-after': '120'})
+    return fetch(`${HOST}/test`, {
+      retry: {retries: 1, minTimeout: 1, maxRetryAfter: 1000}
+    })
+  }).then(res => {
+    t.equal(res.status, 429, 'gave up when asked to wait too long')
+    t.ok(Date.now() - start < 1000, 'did not wait')
+    srv.get('/test').reply(429, '', {'retry-after': '120'})
+    return fetch(`${HOST}/test`, {retry: {retries: 0}})
+  }).then(res => {
+    t.equal(res.status, 429, 'no wait without retries left')
+  })
+})
+
+test('supports custom retry conditions', t => {
+  const srv = tnock(t, HOST)
+  srv.get('/test').reply(503, 'NOPE')
+  return fetch(`${HOST}/test`, {
+    retry: {retries: 1, minTimeout: 1, retryOn: [500, 'ENOTFOUND']}
+  }).then(res => {
+    t.equal(res.status, 503, 'status not in retryOn is not retried')
+    srv.get('/test').replyWithError({message: 'nope', code: 'ENOTFOUND'})
+    srv.get('/test').reply(500, 'NOPE')
+    srv.get('/test').reply(200, CONTENT)
+    return fetch(`${HOST}/test`, {
+      retry: {retries: 2, minTimeout: 1, retryOn: [500, 'ENOTFOUND']}
+    })
+  }).then(res => {
+    t.equal(res.status, 200, 'error codes and statuses in retryOn retried')
+    const calls = []
+    srv.get('/test').reply(500, 'NOPE')
+    srv.get('/test').reply(404, 'NOPE')
+    return fetch(`${HOST}/test`, {
+      retry: {
+        retries: 5,
+        minTimeout: 1,
+        shouldRetry: (res, attempt) => {
+          calls.push([res.status, attempt])
+          return res.status === 500
+        }
+      }
+    }).then(res => {
+      t.equal(res.status, 404, 'stopped retrying when shouldRetry said so')
+      t.deepEqual(calls, [[500, 1], [404, 2]], 'shouldRetry called per attempt')
+    })
+  })
+})
+
+test('retries POST requests with an Idempotency-Key', t => {
+  const srv = tnock(t, HOST)
+  srv.post('/test').reply(500, 'NOPE')
+  srv.post('/test', 'payload').reply(201, CONTENT)
+  return fetch(`${HOST}/test`, {
+    method: 'POST',
+    body: Buffer.from('payload'),
+    headers: {'idempotency-key': 'abc123'},
+    retry: {retries: 1, minTimeout: 1}
+  }).then(res => {
+    t.equal(res.status, 201, 'POST retried')
+  })
+})
+
+test('retries requests with replayable bodies', t => {
+  const srv = tnock(t, HOST)
+  const makeStream = data => {
+    const stream = through()
+    setTimeout(() => {
+      stream.write(data.slice(0, 5))
+      stream.end(data.slice(5))
+    }, 10)
+    return stream
+  }
+  srv.put('/test', 'great success!').reply(500)
+  srv.put('/test', 'great success!').reply(201, CONTENT)
+  return fetch(`${HOST}/test`, {
+    method: 'PUT',
+    body: () => makeStream('great success!'),
+    retry: {retries: 1, minTimeout: 1}
+  }).then(res => {
+    t.equal(res.status, 201, 'body factory called again on retry')
+    srv.put('/test', 'great success!').reply(500)
+    srv.put('/test', 'great success!').reply(201, CONTENT)
+    return fetch(`${HOST}/test`, {
+      method: 'PUT',
+      body: makeStream('great success!'),
+      retry: {retries: 1, minTimeout: 1, maxBodyBuffer: 1024}
+    })
+  }).then(res => {
+    t.equal(res.status, 201, 'buffered stream sent again on retry')
+    srv.put('/test', 'great success!').reply(500)
+    return fetch(`${HOST}/test`, {
+      method: 'PUT',
+      body: makeStream('great success!'),
+      retry: {retries: 1, minTimeout: 1, maxBodyBuffer: 4}
+    })
+  }).then(res => {
+    t.equal(res.status, 500, 'streams too big to buffer are not retried')
+  })
+})
+
+test('fails fast once the circuit breaker opens', t => {
+  const host = 'https://circuit.make-fetch-happen.npm'
+  const srv = tnock(t, host)
+  const opts = {
+    circuitBreaker: {threshold: 2, cooldown: 100},
+    retry: {retries: 5, minTimeout: 1}
+  }
+  srv.get('/test').twice().reply(500)
+  return fetch(`${host}/test`, opts).then(
+    () => { throw new Error('should not succeed') },
+    err => {
+      t.equal(err.code, 'ECIRCUITOPEN', 'stopped retrying once circuit opened')
+      t.ok(err.retryAt instanceof Date, 'error says when to try again')
+      return fetch(`${host}/other`, opts)
+    }
+  ).then(
+    () => { throw new Error('should not succeed') },
+    err => {
+      t.equal(err.code, 'ECIRCUITOPEN', 'whole origin fails fast')
+      return BB.delay(100)
+    }
+  ).then(() => {
+    srv.get('/test').reply(500)
+    return fetch(`${host}/test`, Object.assign({}, opts, {retry: false}))
+  }).then(res => {
+    t.equal(res.status, 500, 'trial request let through after cooldown')
+    return fetch(`${host}/test`, opts).catch(err => err)
+  }).then(err => {
+    t.equal(err.code, 'ECIRCUITOPEN', 'failed trial reopens the circuit')
+    return BB.delay(100)
+  }).then(() => {
+    srv.get('/test').reply(200, CONTENT)
+    srv.get('/test').reply(200, CONTENT)
+    return fetch(`${host}/test`, opts).then(res => res.buffer())
+  }).then(() => fetch(`${host}/test`, opts)).then(res => {
+    t.equal(res.status, 200, 'successful trial closes the circuit')
+  })
+})
+
+test('fails over to mirrors', t => {
+  const mirror1 = 'https://mirror1.make-fetch-happen.npm'
+  const mirror2 = 'https://mirror2.make-fetch-happen.npm'
+  const srv = tnock(t, HOST)
+  const srv1 = tnock(t, mirror1)
+  const srv2 = tnock(t, mirror2)
+  const opts = {
+    mirrors: [`${mirror1}/registry/`, mirror2],
+    retry: false
+  }
+  srv.get('/test?a=1').reply(503)
+  srv1.get('/registry/test?a=1').replyWithError({
+    message: 'nope',
+    code: 'ECONNREFUSED'
+  })
+  srv2.get('/test?a=1').reply(200, CONTENT)
+  return fetch(`${HOST}/test?a=1`, opts).then(res => {
+    t.equal(res.status, 200, 'got response from working mirror')
+    t.equal(res.url, `${mirror2}/test?a=1`, 'same path and query used')
+    return res.buffer()
+  }).then(body => {
+    t.deepEqual(body, CONTENT, 'got mirror content')
+    srv.get('/missing').reply(404)
+    return fetch(`${HOST}/missing`, opts)
+  }).then(res => {
+    t.equal(res.status, 404, 'responses that are not failures are returned')
+    srv.post('/test').reply(500)
+    return fetch(`${HOST}/test`, Object.assign({method: 'POST'}, opts))
+  }).then(res => {
+    t.equal(res.status, 500, 'non-idempotent requests do not fail over')
+  })
+})
+
+test('does not send credentials to mirrors on other hosts', t => {
+  const mirror = 'https://mirror.make-fetch-happen.npm'
+  const srv = tnock(t, HOST)
+  const mirrorSrv = tnock(t, mirror)
+  const headers = {
+    'authorization': 'Bearer SECRET',
+    'cookie': 'session=SECRET',
+    'proxy-authorization': 'Basic SECRET',
+    'x-other': 'kept'
+  }
+  srv.get('/test')
+    .matchHeader('authorization', 'Bearer SECRET')
+    .reply(503)
+  mirrorSrv.get('/test')
+    .matchHeader('x-other', 'kept')
+    .reply(function () {
+      return [200, JSON.stringify(this.req.headers)]
+    })
+  return fetch(`${HOST}/test`, {
+    headers,
+    mirrors: [mirror],
+    retry: false
+  }).then(res => res.json()).then(received => {
+    t.notOk(received.authorization, 'no authorization sent to mirror')
+    t.notOk(received.cookie, 'no cookie sent to mirror')
+    t.notOk(received['proxy-authorization'], 'no proxy-authorization either')
+  })
+})
+
+function makeSignal () {
+  const listeners = []
+  return {
+    aborted: false,
+    addEventListener (type, fn) { listeners.push(fn) },
+    removeEventListener (type, fn) {
+      listeners.indexOf(fn) !== -1 && listeners.splice(listeners.indexOf(fn), 1)
+    },
+    abort () {
+      this.aborted = true
+      listeners.slice().forEach(fn => fn())
+    }
+  }
+}
+
+test('supports request lifecycle hooks', t => {
+  const srv = tnock(t, HOST)
+  const calls = []
+  const defaultFetch = fetch.defaults({
+    retry: {retries: 1, minTimeout: 0},
+    hooks: {
+      beforeRequest: req => {
+        calls.push('beforeRequest')
+        req.headers.set('authorization', 'Bearer token')
+      }
+    }
+  })
+  srv.get('/redirect').reply(301, '', {location: `${HOST}/flaky`})
+  srv.get('/flaky').reply(500)
+  srv.get('/flaky')
+    .matchHeader('x-redirected', 'true')
+    .matchHeader('authorization', 'Bearer token')
+    .reply(200, CONTENT)
+  return defaultFetch(`${HOST}/redirect`, {
+    hooks: {
+      afterResponse: (res, req) => { calls.push(`afterResponse ${res.status}`) },
+      beforeRetry: (req, res, attemptNum) => {
+        calls.push(`beforeRetry ${res.status} ${attemptNum}`)
+      },
+      beforeRedirect: (req, res) => {
+        calls.push(`beforeRedirect ${res.status}`)
+        req.headers.set('x-redirected', 'true')
+      }
+    }
+  }).then(res => {
+    t.equal(res.status, 200, 'got final response')
+    t.deepEqual(calls, [
+      'beforeRequest',
+      'afterResponse 301',
+      'beforeRedirect 301',
+      'beforeRequest',
+      'afterResponse 500',
+      'beforeRetry 500 1',
+      'beforeRequest',
+      'afterResponse 200'
+    ], 'hooks called in order, across redirects and retries')
+    return res.buffer()
+  }).then(buf => {
+    t.deepEqual(buf, CONTENT, 'got body')
+    return defaultFetch(`${HOST}/never`, {
+      hooks: {
+        beforeRequest: () => new fetch.Response('intercepted', {status: 202})
+      }
+    })
+  }).then(res => {
+    t.equal(res.status, 202, 'beforeRequest short-circuited the request')
+    srv.get('/down').reply(503)
+    return defaultFetch(`${HOST}/down`, {
+      hooks: {
+        beforeRetry: () => new fetch.Response('fallback')
+      }
+    })
+  }).then(res => res.text()).then(text => {
+    t.equal(text, 'fallback', 'beforeRetry short-circuited the retry')
+  })
+})
+
+test('retries with requests changed by beforeRetry hooks', t => {
+  const srv = tnock(t, HOST)
+  srv.get('/flaky').reply(500)
+  srv.get('/flaky')
+    .matchHeader('x-retry', 'true')
+    .replyWithError({code: 'ECONNRESET'})
+  srv.get('/elsewhere')
+    .matchHeader('x-retry', 'true')
+    .matchHeader('x-replaced', 'true')
+    .reply(200, CONTENT)
+  return fetch(`${HOST}/flaky`, {
+    retry: {retries: 2, minTimeout: 0},
+    hooks: {
+      beforeRetry: (req, errOrRes, attemptNum) => {
+        if (attemptNum === 1) {
+          req.headers.set('x-retry', 'true')
+          return
+        }
+        req.headers.set('x-replaced', 'true')
+        return new fetch.Request(`${HOST}/elsewhere`, req)
+      }
+    }
+  }).then(res => {
+    t.equal(res.status, 200, 'retries used the hooked requests')
+    t.equal(res.headers.get('x-fetch-attempts'), '3', 'took three tries')
+    return res.buffer()
+  }).then(buf => {
+    t.deepEqual(buf, CONTENT, 'got body')
+  })
+})
+
+test('reports request timings', t => {
+  const srv = tnock(t, HOST)
+  srv.get('/test').reply(500)
+  srv.get('/test').delay(20).reply(200, CONTENT)
+  let reported = null
+  return fetch(`${HOST}/test`, {
+    retry: {retries: 1, minTimeout: 50, maxTimeout: 50},
+    onTiming: (timings, res) => {
+      t.notOk(reported, 'onTiming only called once')
+      reported = timings
+    }
+  }).then(res => {
+    t.ok(res.timings, 'timings attached to response')
+    t.notOk(reported, 'onTiming waits for the body')
+    return res.buffer().then(() => res)
+  }).then(res => {
+    const timings = res.timings
+    t.equal(reported, timings, 'onTiming called with the same timings')
+    t.equal(timings.cache, null, 'no cache involved')
+    t.ok(timings.retryWait >= 40, 'retry wait recorded')
+    t.ok(timings.ttfb >= 15, 'time to first byte recorded')
+    t.ok(
+      timings.total >= timings.retryWait + timings.ttfb + timings.download,
+      'total covers everything'
+    )
+    t.ok(timings.startTime <= Date.now(), 'start time recorded')
+  })
+})
+
+test('times requests over real sockets', t => {
+  // nock doesn't go through agents, so this needs a real server.
+  const srv = require('http').createServer((req, res) => {
+    res.end(CONTENT)
+  })
+  t.tearDown(() => srv.close())
+  return BB.fromNode(cb => srv.listen(9856, cb)).then(() => {
+    return fetch('http://localhost:9856/test', {agent: false})
+  }).then(res => res.buffer().then(() => res)).then(res => {
+    const timings = res.timings
+    t.equal(timings.tls, 0, 'no TLS for plain http')
+    t.ok(
+      timings.dns + timings.connect + timings.ttfb <= timings.total,
+      'connection phases fit within the total'
+    )
+  })
+})
+
+test('publishes request events', t => {
+  const srv = tnock(t, HOST)
+  const seen = []
+  const names = ['request', 'response', 'retry', 'redirect']
+  const listeners = names.map(name => {
+    const listener = e => seen.push([name, e])
+    fetch.events.on(name, listener)
+    return listener
+  })
+  t.tearDown(() => names.forEach((name, i) => {
+    fetch.events.removeListener(name, listeners[i])
+  }))
+  srv.get('/redirect').reply(301, '', {location: `${HOST}/test`})
+  srv.get('/test').reply(500)
+  srv.get('/test').reply(200, CONTENT)
+  return fetch(`${HOST}/redirect`, {
+    retry: {retries: 1, minTimeout: 0}
+  }).then(res => res.buffer()).then(() => {
+    const url = `${HOST}/test`
+    t.deepEqual(seen, [
+      ['request', {method: 'GET', url: `${HOST}/redirect`, attempt: 1}],
+      ['response', {
+        method: 'GET', url: `${HOST}/redirect`, attempt: 1, status: 301
+      }],
+      ['redirect', {from: `${HOST}/redirect`, to: url, status: 301}],
+      ['request', {method: 'GET', url, attempt: 1}],
+      ['response', {method: 'GET', url, attempt: 1, status: 500}],
+      ['retry', {method: 'GET', url, attempt: 1, error: null, status: 500}],
+      ['request', {method: 'GET', url, attempt: 2}],
+      ['response', {method: 'GET', url, attempt: 2, status: 200}]
+    ], 'events published in order')
+  })
+})
+
+test('records and replays HAR files', t => {
+  const srv = tnock(t, HOST)
+  const har = path.join(DIR, 'session.har')
+  srv.get('/redirect').reply(301, '', {location: `${HOST}/test?a=1`})
+  srv.get('/test?a=1').reply(200, CONTENT, {'content-type': 'text/plain'})
+  srv.post('/test', 'some data').reply(201, 'created', {
+    'set-cookie': 'session=token'
+  })
+  srv.get('/login').reply(200, 'welcome', {'set-cookie': 'session=secret'})
+  return fetch(`${HOST}/redirect`, {
+    headers: {authorization: 'Bearer secret', cookie: 'session=secret'},
+    record: har
+  }).then(res => {
+    return res.buffer()
+  }).then(buf => {
+    t.deepEqual(buf, CONTENT, 'recorded response still returned')
+    return fetch(`${HOST}/test`, {
+      method: 'POST',
+      body: 'some data',
+      headers: {authorization: 'Bearer token'},
+      record: har,
+      recordCredentials: true
+    })
+  }).then(res => res.text()).then(() => {
+    return fetch(HOST.replace('//', '//user:secret@') + '/login', {record: har})
+  }).then(res => {
+    t.equal(
+      res.headers.get('set-cookie'),
+      'session=secret',
+      'caller still gets the cookie'
+    )
+    return res.text()
+  }).then(() => {
+    const log = JSON.parse(fs.readFileSync(har, 'utf8')).log
+    t.equal(log.version, '1.2', 'wrote a HAR 1.2 file')
+    t.deepEqual(log.entries.map(e => {
+      return [e.request.method, e.request.url, e.response.status]
+    }), [
+      ['GET', `${HOST}/redirect`, 301],
+      ['GET', `${HOST}/test?a=1`, 200],
+      ['POST', `${HOST}/test`, 201],
+      ['GET', 'https://[REDACTED]@make-fetch-happen.npm/login', 200]
+    ], 'recorded every request, including redirects')
+    t.deepEqual(log.entries[1].request.queryString, [{name: 'a', value: '1'}])
+    t.equal(log.entries[2].request.postData.text, 'some data', 'body recorded')
+    const header = (message, name) => message.headers.find(h => {
+      return h.name === name
+    }).value
+    t.equal(header(log.entries[0].request, 'authorization'), '[REDACTED]')
+    t.equal(header(log.entries[0].request, 'cookie'), '[REDACTED]')
+    t.equal(header(log.entries[3].response, 'set-cookie'), '[REDACTED]')
+    t.notMatch(JSON.stringify(log), /secret/, 'credentials left out')
+    t.equal(
+      header(log.entries[2].request, 'authorization'),
+      'Bearer token',
+      'opts.recordCredentials keeps them'
+    )
+    t.equal(
+      header(log.entries[2].response, 'set-cookie'),
+      'session=token',
+      'opts.recordCredentials keeps response cookies too'
+    )
+    // No nock interceptors this time around.
+    return fetch(`${HOST}/redirect`, {replay: har})
+  }).then(res => {
+    t.equal(res.status, 200, 'replayed redirect and response')
+    t.equal(res.headers.get('content-type'), 'text/plain', 'headers replayed')
+    return res.buffer()
+  }).then(buf => {
+    t.deepEqual(buf, CONTENT, 'body replayed')
+    return fetch(HOST.replace('//', '//user:secret@') + '/login', {
+      replay: har
+    })
+  }).then(res => res.text()).then(body => {
+    t.equal(body, 'welcome', 'replayed request made with a redacted URL')
+    return fetch(`${HOST}/missing`, {replay: har})
+  }).then(() => {
+    throw new Error('should not succeed')
+  }, err => {
+    t.equal(err.code, 'ENOTRECORDED', 'unmatched requests fail')
+    t.match(err.message, /GET https:\/\/make-fetch-happen.npm\/missing/)
+  })
+})
+
+test('supports opts.signal', t => {
+  const srv = tnock(t, HOST)
+  const signal = makeSignal()
+  signal.abort()
+  return fetch(`${HOST}/test`, {signal}).then(
+    () => { throw new Error('should not succeed') },
+    err => {
+      t.equal(err.code, 'EABORT', 'already-aborted signal fails right away')
+      t.equal(err.name, 'AbortError', 'got an AbortError')
+      const signal = makeSignal()
+      srv.get('/test').times(2).reply(500)
+      setTimeout(() => signal.abort(), 50)
+      const start = Date.now()
+      return fetch(`${HOST}/test`, {
+        signal,
+        retry: {retries: 1, minTimeout: 5000}
+      }).then(
+        () => { throw new Error('should not succeed') },
+        err => {
+          t.equal(err.code, 'EABORT', 'aborted while waiting to retry')
+          t.ok(Date.now() - start < 5000, 'did not wait for the retry')
+        }
+      )
+    }
+  ).then(() => {
+    const signal = makeSignal()
+    srv.get('/test').delayBody(200).reply(200, CONTENT)
+    return fetch(`${HOST}/test`, {signal}).then(res => {
+      t.equal(res.status, 200, 'got response headers')
+      signal.abort()
+      return res.buffer()
+    }).then(
+      () => { throw new Error('should not succeed') },
+      err => {
+        t.equal(err.code, 'EABORT', 'body errors when aborted')
+      }
+    )
+  })
+})
+
+test('aborted requests do not trip the circuit breaker', t => {
+  const host = 'https://aborted.circuit.make-fetch-happen.npm'
+  const srv = tnock(t, host)
+  const opts = {
+    circuitBreaker: {threshold: 1, cooldown: 50},
+    retry: false
+  }
+  const aborted = () => {
+    srv.get('/test').delay(1000).reply(200, CONTENT)
+    return fetch(`${host}/test`, Object.assign({deadline: 20}, opts)).then(
+      () => { throw new Error('should not succeed') },
+      err => t.equal(err.code, 'EDEADLINE', 'request aborted')
+    ).then(() => {
+      // The caller hears about the abort before the request itself winds
+      // down.
+      return BB.delay(10)
+    })
+  }
+  return aborted().then(() => {
+    srv.get('/test').reply(500)
+    return fetch(`${host}/test`, opts)
+  }).then(res => {
+    t.equal(res.status, 500, 'abort did not open the circuit')
+    return BB.delay(60)
+  }).then(aborted).then(() => {
+    srv.get('/test').reply(200, CONTENT)
+    return fetch(`${host}/test`, opts)
+  }).then(res => {
+    t.equal(res.status, 200, 'aborted trial let another one through')
+    return res.buffer()
+  })
+})
+
+test('hooks that skip the network do not hold the circuit trial', t => {
+  const host = 'https://hooked.circuit.make-fetch-happen.npm'
+  const srv = tnock(t, host)
+  const opts = {
+    circuitBreaker: {threshold: 1, cooldown: 50},
+    retry: false
+  }
+  const open = () => {
+    srv.get('/test').reply(500)
+    return fetch(`${host}/test`, opts).then(res => {
+      t.equal(res.status, 500, 'circuit opened')
+      return BB.delay(60)
+    })
+  }
+  return open().then(() => {
+    return fetch(`${host}/test`, Object.assign({
+      hooks: {beforeRequest: () => new fetch.Response('hooked')}
+    }, opts))
+  }).then(res => res.text()).then(body => {
+    t.equal(body, 'hooked', 'hook answered the trial')
+    srv.get('/test').reply(200, CONTENT)
+    return fetch(`${host}/test`, opts)
+  }).then(res => {
+    t.equal(res.status, 200, 'short-circuited trial let another one through')
+    return res.buffer()
+  }).then(open).then(() => {
+    return fetch(`${host}/test`, Object.assign({
+      hooks: {beforeRequest: () => { throw new Error('nope') }}
+    }, opts)).then(
+      () => { throw new Error('should not succeed') },
+      err => t.equal(err.message, 'nope', 'hook rejected the trial')
+    )
+  }).then(() => {
+    srv.get('/test').reply(200, CONTENT)
+    return fetch(`${host}/test`, opts)
+  }).then(res => {
+    t.equal(res.status, 200, 'rejected trial let another one through')
+    return res.buffer()
+  })
+})
+
+test('supports opts.deadline across retries', t => {
+  const srv = tnock(t, HOST)
+  srv.get('/test').times(10).reply(500)
+  const start = Date.now()
+  return fetch(`${HOST}/test`, {
+    deadline: 100,
+    retry: {retries: 10, minTimeout: 20}
+  }).then(
+    () => { throw new Error('should not succeed') },
+    err => {
+      t.equal(err.code, 'EDEADLINE', 'gave up once deadline passed')
+      t.ok(Date.now() - start < 1000, 'did not go through all retries')
+      nock.cleanAll()
+      srv.get('/test').delay(1000).reply(200, CONTENT)
+      return fetch(`${HOST}/test`, {deadline: 100, timeout: 5000})
+    }
+  ).then(
+    () => { throw new Error('should not succeed') },
+    err => {
+      t.equal(err.code, 'EDEADLINE', 'deadline applies to a single attempt')
+    }
+  )
+})
+
+test('supports separate response and idle timeouts', t => {
+  // nock doesn't go through agents, so this needs a real server.
+  const sockets = []
+  let requests = 0
+  const srv = require('http').createServer((req, res) => {
+    requests++
+    if (req.url === '/stall') {
+      res.writeHead(200)
+      res.write(CONTENT)
+    } else if (req.url === '/slow-body') {
+      res.writeHead(200)
+      setTimeout(() => res.end(CONTENT), 50)
+    }
+    // Anything else never gets a response.
+  }).on('connection', socket => sockets.push(socket))
+  const HOST = 'http://localhost:9855'
+  const opts = {
+    responseTimeout: 100,
+    idleTimeout: 100,
+    retry: {retries: 1, minTimeout: 0}
+  }
+  t.tearDown(() => {
+    sockets.forEach(socket => socket.destroy())
+    srv.close()
+  })
+  return BB.fromNode(cb => srv.listen(9855, cb)).then(() => {
+    return fetch(`${HOST}/hang`, opts)
+  }).then(
+    () => { throw new Error('should not succeed') },
+    err => {
+      t.equal(err.code, 'ERESPONSETIMEOUT', 'timed out waiting for response')
+      t.equal(requests, 2, 'response timeouts retried')
+      return fetch(`${HOST}/stall`, opts)
+    }
+  ).then(res => {
+    t.equal(res.status, 200, 'got response')
+    return res.buffer()
+  }).then(
+    () => { throw new Error('should not succeed') },
+    err => {
+      t.equal(err.code, 'EIDLETIMEOUT', 'timed out waiting on the body')
+      return fetch(`${HOST}/slow-body`, opts)
+    }
+  ).then(res => res.buffer()).then(buf => {
+    t.deepEqual(buf, CONTENT, 'got body that kept within the timeouts')
+  })
+})
+
+test('supports opts.connectTimeout', t => {
+  // A server that never answers the TLS handshake keeps connections from
+  // ever being established.
+  const sockets = []
+  const srv = require('net').createServer(socket => sockets.push(socket))
+  t.tearDown(() => {
+    sockets.forEach(socket => socket.destroy())
+    srv.close()
+  })
+  const start = Date.now()
+  return BB.fromNode(cb => srv.listen(9857, cb)).then(() => {
+    return fetch('https://localhost:9857/test', {
+      agent: false,
+      connectTimeout: 100,
+      retry: false
+    })
+  }).then(
+    () => { throw new Error('should not succeed') },
+    err => {
+      t.equal(err.code, 'ECONNECTTIMEOUT', 'timed out connecting')
+      t.ok(Date.now() - start < 1000, 'did not wait for anything else')
+      t.equal(sockets.length, 1, 'connection was attempted')
+    }
+  )
+})
+
 test('accepts opts.retry shorthands', t => {
   const srv = tnock(t, HOST)
   srv.get('/test').reply(500, '')
@@ -36,6 +36,28 @@ test('basic integrity verification', t => {
   })
 })
 
+test('publishes integrity failures', t => {
+  const events = require('..').events
+  const seen = []
+  const onFailure = e => seen.push(e)
+  events.on('integrity-failure', onFailure)
+  t.tearDown(() => events.removeListener('integrity-failure', onFailure))
+  tnock(t, HOST).get('/wowsobad').reply(200, Buffer.from('pwnd'))
+  return fetch(`${HOST}/wowsobad`, {
+    integrity: INTEGRITY
+  }).then(res => res.buffer()).then(() => {
+    throw new Error('should not succeed')
+  }, err => {
+    t.equal(err.code, 'EINTEGRITY', 'integrity check failed')
+    t.equal(seen.length, 1, 'one failure published')
+    t.equal(seen[0].url, `${HOST}/wowsobad`, 'failure has url')
+    t.equal(
+      String(seen[0].expected), String(INTEGRITY), 'failure has expected'
+    )
+    t.ok(seen[0].found, 'failure has found integrity')
+  })
+})
+
 test('picks the "best" algorithm', t => {
   const integrity = ssri.fromData(CONTENT, {
     algorithms: ['md5', 'sha384', 'sha1', 'sha256']
@@ -129,6 +151,64 @@ test('checks integrity on cache fetch too', t => {
   })
 })
 
+test('finds cached content by integrity, whatever its URL', t => {
+  const srv = tnock(t, HOST)
+  srv.get('/original').reply(200, CONTENT, {'cache-control': 'no-cache'})
+  const safetch = fetch.defaults({cacheManager: CACHE})
+  return safetch(`${HOST}/original`).then(res => res.buffer()).then(() => {
+    // No interceptor for this, so it has to come out of the cache.
+    return safetch(`${HOST}/mirrored`, {integrity: INTEGRITY})
+  }).then(res => {
+    t.equal(res.status, 200, 'got a response')
+    t.equal(
+      decodeURIComponent(res.headers.get('x-local-cache-hash')),
+      INTEGRITY.toString(),
+      'response has the content hash'
+    )
+    t.equal(+res.headers.get('content-length'), CONTENT.length, 'has a size')
+    return res.buffer()
+  }).then(buf => {
+    t.deepEqual(buf, CONTENT, 'got content stored under another URL')
+    srv.get('/mirrored').reply(200, 'something else')
+    return safetch(`${HOST}/mirrored`, {
+      integrity: ssri.fromData('something else')
+    })
+  }).then(res => res.buffer()).then(buf => {
+    t.equal(buf.toString(), 'something else', 'unknown content is fetched')
+  })
+})
+
+test('looks for cached content by integrity before URL', t => {
+  const srv = tnock(t, HOST)
+  const OTHER = Buffer.from('other content')
+  srv.get('/original').reply(200, CONTENT, {
+    'cache-control': 'max-age=300',
+    'content-type': 'text/plain',
+    'etag': '"original"'
+  })
+  srv.get('/other').reply(200, OTHER, {'cache-control': 'no-cache'})
+  const safetch = fetch.defaults({cacheManager: CACHE})
+  return safetch(`${HOST}/original`).then(res => res.buffer()).then(() => {
+    return safetch(`${HOST}/other`).then(res => res.buffer())
+  }).then(() => {
+    // There's no interceptor for this, so it can't be revalidated.
+    return safetch(`${HOST}/other`, {integrity: INTEGRITY})
+  }).then(res => {
+    t.notOk(res.headers.get('x-local-cache-key'), 'not the URL entry')
+    return res.buffer()
+  }).then(buf => {
+    t.deepEqual(buf, CONTENT, 'got the content asked for, not the URL\'s')
+    return safetch(`${HOST}/original`, {integrity: INTEGRITY})
+  }).then(res => {
+    t.ok(res.headers.get('x-local-cache-key'), 'URL entry has the content')
+    t.equal(res.headers.get('content-type'), 'text/plain', 'kept its headers')
+    t.equal(res.headers.get('etag'), '"original"', 'kept its validators')
+    return res.buffer()
+  }).then(buf => {
+    t.deepEqual(buf, CONTENT, 'got the content with its stored response')
+  })
+})
+
 test('basic integrity verification with gzip content', t => {
   const srv = tnock(t, HOST)
   srv.get('/wowsosafe').reply(200, CONTENT_GZ, { 'Content-Type': 'application/x-tgz', 'Content-Encoding': 'x-gzip' })
@@ -141,3 +221,71 @@ test('basic integrity verification with gzip content', t => {
     t.deepEqual(buf, CONTENT_GZ, 'good content passed scrutiny 👍🏼')
   })
 })
+
+test('verifies buffered content before resolving', t => {
+  const srv = tnock(t, HOST)
+  const mirror = tnock(t, 'https://mirror.make-fetch-happen-safely.npm')
+  const safetch = fetch.defaults({
+    integrity: INTEGRITY,
+    bufferIntegrity: true,
+    retry: {retries: 1, minTimeout: 1}
+  })
+  srv.get('/flaky').reply(200, Buffer.from('pwnd'))
+  srv.get('/flaky').reply(200, CONTENT)
+  return safetch(`${HOST}/flaky`).then(res => {
+    t.equal(res.headers.get('x-fetch-attempts'), '2', 'retried bad download')
+    return res.buffer()
+  }).then(buf => {
+    t.deepEqual(buf, CONTENT, 'got good content on retry')
+    srv.get('/bad').reply(200, Buffer.from('pwnd'))
+    return safetch(`${HOST}/bad`, {retry: false}).then(() => {
+      throw new Error('should not succeed')
+    }, err => {
+      t.equal(err.code, 'EINTEGRITY', 'rejected before resolving')
+      t.equal(err.expected.toString(), INTEGRITY.toString(), 'has expected')
+      t.equal(
+        err.found.toString(),
+        ssri.fromData(Buffer.from('pwnd')).toString(),
+        'has found'
+      )
+    })
+  }).then(() => {
+    srv.get('/mirrored').reply(200, Buffer.from('pwnd'))
+    mirror.get('/mirrored').reply(200, CONTENT)
+    return safetch(`${HOST}/mirrored`, {
+      retry: false,
+      mirrors: ['https://mirror.make-fetch-happen-safely.npm']
+    })
+  }).then(res => res.buffer()).then(buf => {
+    t.deepEqual(buf, CONTENT, 'got good content from a mirror')
+  })
+})
+
+test('purges bad content from the cache', t => {
+  const srv = tnock(t, HOST)
+  srv.get('/test').times(2).reply(200, Buffer.from('pwnd'), {
+    'cache-control': 'no-cache'
+  })
+  return fetch(`${HOST}/test`, {cacheManager: CACHE}).then(res => {
+    return res.buffer()
+  }).then(() => {
+    return fetch(`${HOST}/test`, {
+      cacheManager: CACHE,
+      integrity: INTEGRITY,
+      bufferIntegrity: true
+    }).then(() => {
+      throw new Error('should not succeed')
+    }, err => {
+      t.equal(err.code, 'EINTEGRITY', 'bad content rejected')
+    })
+  }).then(() => {
+    return fetch(`${HOST}/test`, {
+      cacheManager: CACHE,
+      cache: 'only-if-cached'
+    }).then(() => {
+      throw new Error('should not succeed')
+    }, err => {
+      t.equal(err.code, 'ENOTCACHED', 'bad entry was purged')
+    })
+  })
+})
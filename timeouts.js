@@ -0,0 +1,91 @@
+'use strict'
+
+// On top of node-fetch's all-in-one `opts.timeout`, each phase of a request
+// can get its own timeout:
+//
+// * `opts.connectTimeout` - opening a new connection, including any TLS
+//   handshake. Reused keep-alive sockets skip this.
+// * `opts.responseTimeout` - from getting a socket to receiving the response
+//   headers.
+// * `opts.idleTimeout` - the longest the response body can go without
+//   sending any data. Time spent waiting on a slow reader doesn't count.
+
+module.exports.hasTimeouts = hasTimeouts
+module.exports.watchRequest = watchRequest
+
+function hasTimeouts (opts) {
+  return !!(opts.connectTimeout || opts.responseTimeout || opts.idleTimeout)
+}
+
+// Calls `fail` with an error as soon as `req` runs past any of its timeouts.
+function watchRequest (req, opts, fail) {
+  let timer = null
+  const clear = () => {
+    clearTimeout(timer)
+    timer = null
+  }
+  const start = (ms, code, message) => {
+    clear()
+    timer = setTimeout(() => {
+      timer = null
+      fail(timeoutError(code, message))
+    }, ms)
+  }
+
+  req.once('socket', socket => {
+    if (opts.connectTimeout && socket.connecting) {
+      start(opts.connectTimeout, 'ECONNECTTIMEOUT',
+        `Connection was not established within ${opts.connectTimeout}ms.`)
+      socket.once(socket.encrypted ? 'secureConnect' : 'connect', () => {
+        clear()
+        waitForResponse()
+      })
+    } else {
+      waitForResponse()
+    }
+  })
+  req.once('response', res => {
+    clear()
+    if (opts.idleTimeout) {
+      watchBody(res)
+    }
+  })
+  req.once('close', clear)
+  req.once('error', clear)
+
+  function waitForResponse () {
+    if (opts.responseTimeout) {
+      start(opts.responseTimeout, 'ERESPONSETIMEOUT',
+        `No response was received within ${opts.responseTimeout}ms.`)
+    }
+  }
+
+  function watchBody (res) {
+    const idle = () => {
+      if (res.isPaused()) {
+        // Whoever's reading the body hasn't caught up yet, so the server
+        // isn't the one holding things up.
+        timer = setTimeout(idle, opts.idleTimeout)
+        return
+      }
+      timer = null
+      fail(timeoutError('EIDLETIMEOUT',
+        `Response body stalled for more than ${opts.idleTimeout}ms.`))
+    }
+    const reset = () => {
+      clear()
+      timer = setTimeout(idle, opts.idleTimeout)
+    }
+    reset()
+    res.on('data', reset)
+    res.once('end', clear)
+    res.once('aborted', clear)
+    res.once('error', clear)
+  }
+}
+
+function timeoutError (code, message) {
+  const err = new Error(message)
+  err.code = code
+  return err
+}
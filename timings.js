@@ -0,0 +1,93 @@
+'use strict'
+
+// Every response gets a `timings` object describing where the time spent on
+// its request went. All times are in milliseconds, and add up across any
+// retries and redirects:
+//
+// * `dns`, `connect`, `tls` - looking up the host, connecting to it, and the
+//   TLS handshake. These stay at zero when a keep-alive socket gets reused.
+// * `ttfb` - waiting for the response headers, once connected.
+// * `download` - reading the response body.
+// * `cacheLookup`, `cacheWrite` - reading from and writing to the cache.
+// * `retryWait` - waiting in between retries.
+// * `total` - everything, from starting the request to finishing its body.
+//
+// `cache` says what the cache had to do with the response: `hit`, `miss`,
+// `revalidated`, `stale`, `updated`, or null if there's no cache involved.
+
+module.exports.create = create
+module.exports.finish = finish
+module.exports.watchRequest = watchRequest
+
+const PHASES = [
+  'dns', 'connect', 'tls', 'ttfb', 'download', 'cacheLookup', 'cacheWrite',
+  'retryWait'
+]
+
+function create () {
+  const timings = {
+    startTime: Date.now(),
+    cache: null,
+    total: 0
+  }
+  PHASES.forEach(phase => { timings[phase] = 0 })
+  return timings
+}
+
+// Adds the time it takes `req` to get connected to `timings`. Returns an
+// object whose `time` ends up being the total, so it can be left out of the
+// time spent waiting on the response.
+function watchRequest (req, timings) {
+  const conn = {time: 0}
+  req.once('socket', socket => {
+    if (!socket.connecting) {
+      return
+    }
+    let last = Date.now()
+    const phase = name => () => {
+      const now = Date.now()
+      timings[name] += now - last
+      conn.time += now - last
+      last = now
+    }
+    socket.once('lookup', phase('dns'))
+    socket.once('connect', phase('connect'))
+    if (socket.encrypted) {
+      socket.once('secureConnect', phase('tls'))
+    }
+  })
+  return conn
+}
+
+// Attaches `opts.timings` to `res`, and fills in the rest once its body has
+// been read, calling `opts.onTiming` with them.
+function finish (res, opts) {
+  const timings = opts.timings
+  if (res.timings && res.timings !== timings) {
+    // Responses shared between concurrent requests already carry the
+    // timings of the request that actually got them.
+    timings.cache = res.timings.cache
+    PHASES.forEach(phase => { timings[phase] = res.timings[phase] })
+  }
+  res.timings = timings
+  timings.total = Date.now() - timings.startTime
+
+  const bodyStart = Date.now()
+  let done = false
+  const end = () => {
+    if (done) { return }
+    done = true
+    timings.download += Date.now() - bodyStart
+    timings.total = Date.now() - timings.startTime
+    if (typeof opts.onTiming === 'function') {
+      opts.onTiming(timings, res)
+    }
+  }
+  if (res.body && typeof res.body.once === 'function') {
+    res.body.once('end', end)
+    res.body.once('error', end)
+  } else {
+    end()
+  }
+  return res
+}